@@ -0,0 +1,115 @@
+import {
+  AED_STABLECOIN_ABI_URL,
+  BOND_TOKEN_ABI_URL,
+  DVP_SETTLEMENT_ABI_URL,
+  FEE_DISTRIBUTION_ABI_URL,
+  IDENTITY_REGISTRY_ABI_URL,
+  PAYMENT_PROCESSOR_ABI_URL,
+  REGULATED_BRIDGE_MANAGER_ABI_URL,
+  USDT_BOND_ABI_URL,
+  VALIDATOR_STAKING_MANAGER_ABI_URL
+} from './config.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before abis.js.');
+}
+
+export const CONTRACT_ABI_URLS = {
+  AEDStablecoin: AED_STABLECOIN_ABI_URL,
+  BondToken: BOND_TOKEN_ABI_URL,
+  DvPSettlement: DVP_SETTLEMENT_ABI_URL,
+  FeeDistribution: FEE_DISTRIBUTION_ABI_URL,
+  IdentityRegistry: IDENTITY_REGISTRY_ABI_URL,
+  PaymentProcessor: PAYMENT_PROCESSOR_ABI_URL,
+  RegulatedBridgeManager: REGULATED_BRIDGE_MANAGER_ABI_URL,
+  USDTBond: USDT_BOND_ABI_URL,
+  ValidatorStakingManager: VALIDATOR_STAKING_MANAGER_ABI_URL
+};
+
+const STANDARD_ABI = [
+  'error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)',
+  'error AccessControlBadConfirmation()',
+  'error EnforcedPause()',
+  'error ExpectedPause()',
+  'error ReentrancyGuardReentrantCall()',
+  'error OwnableUnauthorizedAccount(address account)',
+  'error OwnableInvalidOwner(address owner)',
+  'error InvalidInitialization()',
+  'error NotInitializing()',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InvalidSender(address sender)',
+  'error ERC20InvalidReceiver(address receiver)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+  'error SafeERC20FailedOperation(address token)',
+  'error AddressEmptyCode(address target)',
+  'error FailedCall()',
+  'error ERC1967InvalidImplementation(address implementation)',
+  'error ERC1967NonPayable()',
+  'error UUPSUnauthorizedCallContext()',
+  'error UUPSUnsupportedProxiableUUID(bytes32 slot)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+let loading = null;
+
+function normalizeAbi(abiData) {
+  if (Array.isArray(abiData)) {
+    return abiData;
+  }
+  if (abiData?.abi && Array.isArray(abiData.abi)) {
+    return abiData.abi;
+  }
+  throw new Error('Invalid ABI format.');
+}
+
+async function fetchAbi(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ABI ${url} (${response.status})`);
+  }
+  return normalizeAbi(await response.json());
+}
+
+function buildCombinedInterface(abis) {
+  const seen = new Set();
+  const fragments = [];
+  [STANDARD_ABI, ...Object.values(abis)].forEach((abi) => {
+    new ethers.Interface(abi).fragments.forEach((fragment) => {
+      if (fragment.type !== 'error' && fragment.type !== 'event') {
+        return;
+      }
+      const key = `${fragment.type}:${fragment.format('sighash')}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        fragments.push(fragment);
+      }
+    });
+  });
+  return new ethers.Interface(fragments);
+}
+
+export function loadAllAbis() {
+  if (!loading) {
+    loading = (async () => {
+      const entries = Object.entries(CONTRACT_ABI_URLS);
+      const results = await Promise.allSettled(entries.map(([, url]) => fetchAbi(url)));
+      const abis = {};
+      const failures = [];
+      results.forEach((result, index) => {
+        const [name] = entries[index];
+        if (result.status === 'fulfilled') {
+          abis[name] = result.value;
+        } else {
+          failures.push(`${name}: ${result.reason?.message || result.reason}`);
+        }
+      });
+      return { abis, combined: buildCombinedInterface(abis), failures };
+    })();
+  }
+  return loading;
+}
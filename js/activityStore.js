@@ -0,0 +1,129 @@
+const DB_NAME = 'falaj-activity';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+const SESSION_STORAGE_KEY = 'falaj.activitySessionId';
+const RETENTION_STORAGE_KEY = 'falaj.activityRetention';
+const DEFAULT_RETENTION = { days: 14, maxEntries: 5000 };
+const PRUNE_EVERY_WRITES = 50;
+
+let dbPromise = null;
+let writesSincePrune = 0;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('timestamp', 'timestamp');
+      store.createIndex('sessionId', 'sessionId');
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+function createSessionId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function getActivitySessionId() {
+  let sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!sessionId) {
+    sessionId = createSessionId();
+    sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+  return sessionId;
+}
+
+export function getRetention() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RETENTION_STORAGE_KEY) || 'null');
+    return { ...DEFAULT_RETENTION, ...stored };
+  } catch (err) {
+    return { ...DEFAULT_RETENTION };
+  }
+}
+
+export function setRetention({ days, maxEntries }) {
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error('Retention days must be a whole number of at least 1.');
+  }
+  if (!Number.isInteger(maxEntries) || maxEntries < 100) {
+    throw new Error('The entry limit must be a whole number of at least 100.');
+  }
+  localStorage.setItem(RETENTION_STORAGE_KEY, JSON.stringify({ days, maxEntries }));
+  return pruneActivity();
+}
+
+export async function pruneActivity() {
+  const { days, maxEntries } = getRetention();
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  const index = transaction.objectStore(STORE_NAME).index('timestamp');
+  const total = await requestToPromise(index.count());
+  let excess = Math.max(0, total - maxEntries);
+  let removed = 0;
+  const cursorRequest = index.openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor || (excess === 0 && cursor.value.timestamp >= cutoff)) {
+      return;
+    }
+    cursor.delete();
+    excess = Math.max(0, excess - 1);
+    removed += 1;
+    cursor.continue();
+  };
+  await transactionDone(transaction);
+  return removed;
+}
+
+export async function addActivity(record) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).add(record);
+  await transactionDone(transaction);
+  writesSincePrune += 1;
+  if (writesSincePrune >= PRUNE_EVERY_WRITES) {
+    writesSincePrune = 0;
+    await pruneActivity();
+  }
+}
+
+export async function listActivity() {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readonly');
+  return requestToPromise(transaction.objectStore(STORE_NAME).index('timestamp').getAll());
+}
+
+export async function clearActivity() {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, 'readwrite');
+  transaction.objectStore(STORE_NAME).clear();
+  await transactionDone(transaction);
+}
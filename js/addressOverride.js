@@ -0,0 +1,158 @@
+import { getReadProvider } from './rpc.js';
+import { logError, logEvent } from './logs.js';
+import { describeError } from './errors.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before addressOverride.js.');
+}
+
+const OVERRIDES_STORAGE_KEY = 'falaj.addressOverrides';
+const ADDRESS_QUERY_PARAM = 'address';
+const MAX_RECENT_OVERRIDES = 8;
+
+function show(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logEvent(message);
+}
+
+function showError(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logError(message);
+}
+
+function readRecentOverrides() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY) || '{}');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+function rememberOverride(contractKey, address) {
+  const stored = readRecentOverrides();
+  const recent = (stored[contractKey] ?? []).filter((entry) => entry.toLowerCase() !== address.toLowerCase());
+  stored[contractKey] = [address, ...recent].slice(0, MAX_RECENT_OVERRIDES);
+  localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(stored));
+  return stored[contractKey];
+}
+
+export function findOverrideContractKey(address) {
+  const match = Object.entries(readRecentOverrides()).find(
+    ([, addresses]) => Array.isArray(addresses) && addresses.some((entry) => entry.toLowerCase() === address?.toLowerCase())
+  );
+  return match ? match[0] : null;
+}
+
+function syncAddressParam(address) {
+  const url = new URL(window.location.href);
+  if (address) {
+    url.searchParams.set(ADDRESS_QUERY_PARAM, address);
+  } else {
+    url.searchParams.delete(ADDRESS_QUERY_PARAM);
+  }
+  window.history.replaceState(null, '', url.toString());
+}
+
+async function verifyContractAddress(value, network) {
+  const trimmed = value.trim();
+  if (!ethers.isAddress(trimmed)) {
+    throw new Error(`Invalid contract address: ${trimmed || '(empty)'}`);
+  }
+  const address = ethers.getAddress(trimmed);
+  const code = await getReadProvider(network).getCode(address);
+  if (!code || code === '0x') {
+    throw new Error(`No contract code at ${address} on ${network.chainName}.`);
+  }
+  return address;
+}
+
+function renderRecent(datalist, addresses) {
+  datalist.innerHTML = '';
+  addresses.forEach((address) => {
+    const option = document.createElement('option');
+    option.value = address;
+    datalist.appendChild(option);
+  });
+}
+
+export function initAddressOverride({ contractKey, contractName, defaultAddress, network, onChange }) {
+  const anchor = document.getElementById('contract-address');
+  if (!anchor) {
+    return;
+  }
+  const container = document.createElement('div');
+  container.className = 'address-override';
+
+  const label = document.createElement('label');
+  label.textContent = 'Address override';
+  const input = document.createElement('input');
+  input.id = 'address-override';
+  input.placeholder = `${contractName} address (0x…)`;
+  input.setAttribute('list', 'address-override-recent');
+  label.appendChild(input);
+  container.appendChild(label);
+
+  const datalist = document.createElement('datalist');
+  datalist.id = 'address-override-recent';
+  renderRecent(datalist, readRecentOverrides()[contractKey] ?? []);
+  container.appendChild(datalist);
+
+  const apply = document.createElement('button');
+  apply.type = 'button';
+  apply.textContent = 'Use address';
+  container.appendChild(apply);
+
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.textContent = 'Reset';
+  reset.disabled = true;
+  container.appendChild(reset);
+
+  anchor.after(container);
+
+  const useAddress = async (value) => {
+    apply.disabled = true;
+    try {
+      const address = await verifyContractAddress(value, network);
+      renderRecent(datalist, rememberOverride(contractKey, address));
+      syncAddressParam(address);
+      input.value = address;
+      reset.disabled = false;
+      onChange(address);
+      show(`Using ${contractName} override at ${address}.`);
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`);
+    } finally {
+      apply.disabled = false;
+    }
+  };
+
+  apply.addEventListener('click', () => useAddress(input.value));
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      useAddress(input.value);
+    }
+  });
+  reset.addEventListener('click', () => {
+    syncAddressParam(null);
+    input.value = '';
+    reset.disabled = true;
+    onChange(defaultAddress);
+    show(`Using the configured ${contractName} address${defaultAddress ? ` ${defaultAddress}` : ''}.`);
+  });
+
+  const requested = new URLSearchParams(window.location.search).get(ADDRESS_QUERY_PARAM);
+  if (requested) {
+    input.value = requested;
+    useAddress(requested);
+  }
+}
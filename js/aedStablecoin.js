@@ -1,21 +1,37 @@
 import {
+  ACTIVE_PROFILE,
   AED_STABLECOIN_ABI_URL,
   AED_STABLECOIN_ADDRESS,
   EXPLORER_BASE,
-  FALAJ_NETWORK
+  FALAJ_NETWORK,
+  getActiveDeployment,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -25,6 +41,8 @@ if (!ethers) {
 
 let stablecoinAbi = null;
 let stablecoin = null;
+let contractAddress = AED_STABLECOIN_ADDRESS;
+let sessionGeneration = 0;
 let tokenDecimals = 2;
 
 function normalizeAbi(abiData) {
@@ -59,33 +77,47 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
+  logError(msg, details);
 }
 
+const WRITE_ACTION_METHODS = {
+  'transfer-btn': 'transfer',
+  'approve-btn': 'approve',
+  'mint-btn': 'mint',
+  'burn-btn': 'burnFrom',
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause',
+  'freeze-btn': 'freezeAccount',
+  'unfreeze-btn': 'unfreezeAccount',
+  'emergency-btn': 'emergencyTransfer'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
+
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'transfer-btn',
-    'approve-btn',
-    'mint-btn',
-    'burn-btn',
-    'pause-btn',
-    'unpause-btn',
-    'freeze-btn',
-    'unfreeze-btn',
-    'emergency-btn',
-    'summary-btn',
-    'roles-btn',
-    'balance-btn',
-    'allowance-btn',
-    'frozen-btn',
-    'can-transfer-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureStablecoin(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -115,117 +147,171 @@ async function ensureStablecoin() {
   if (stablecoin) {
     return stablecoin;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getStablecoinAbi();
-  stablecoin = new ethers.Contract(AED_STABLECOIN_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'AEDStablecoin');
+  stablecoin = new ethers.Contract(address, abi, runner);
   tokenDecimals = Number(await stablecoin.decimals());
   return stablecoin;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureStablecoin();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   stablecoin = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${AED_STABLECOIN_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${AED_STABLECOIN_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === AED_STABLECOIN_ADDRESS ? getActiveDeployment('aedStablecoin') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'AEDStablecoin', address, network: FALAJ_NETWORK });
+  stablecoin = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleTransfer() {
   const contract = await ensureStablecoin();
   const to = parseAddress(document.getElementById('transfer-to').value, 'Recipient');
   const amount = parseTokenAmount(document.getElementById('transfer-amount').value);
-  const tx = await contract.transfer(to, amount);
+  const tx = await sendTransaction(contract, 'transfer', [to, amount]);
   show(`Transfer submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Transfer confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Transfer confirmed: ${tx.hash}${events}`);
 }
 
 async function handleApprove() {
   const contract = await ensureStablecoin();
   const spender = parseAddress(document.getElementById('approve-spender').value, 'Spender');
   const amount = parseTokenAmount(document.getElementById('approve-amount').value);
-  const tx = await contract.approve(spender, amount);
+  const tx = await sendTransaction(contract, 'approve', [spender, amount]);
   show(`Approve submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Approve confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Approve confirmed: ${tx.hash}${events}`);
 }
 
 async function handleMint() {
   const contract = await ensureStablecoin();
   const to = parseAddress(document.getElementById('mint-to').value, 'Recipient');
   const amount = parseTokenAmount(document.getElementById('mint-amount').value);
-  const tx = await contract.mint(to, amount);
+  const tx = await sendTransaction(contract, 'mint', [to, amount]);
   show(`Mint submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Mint confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Mint confirmed: ${tx.hash}${events}`);
 }
 
 async function handleBurnFrom() {
   const contract = await ensureStablecoin();
   const from = parseAddress(document.getElementById('burn-from').value, 'From');
   const amount = parseTokenAmount(document.getElementById('burn-amount').value);
-  const tx = await contract.burnFrom(from, amount);
+  const tx = await sendTransaction(contract, 'burnFrom', [from, amount]);
   show(`Burn submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Burn confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Burn confirmed: ${tx.hash}${events}`);
 }
 
 async function handlePause() {
   const contract = await ensureStablecoin();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Pause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Pause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensureStablecoin();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleFreeze() {
   const contract = await ensureStablecoin();
   const account = parseAddress(document.getElementById('freeze-account').value, 'Account');
-  const tx = await contract.freezeAccount(account);
+  const tx = await sendTransaction(contract, 'freezeAccount', [account]);
   show(`Freeze submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Freeze confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Freeze confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnfreeze() {
   const contract = await ensureStablecoin();
   const account = parseAddress(document.getElementById('freeze-account').value, 'Account');
-  const tx = await contract.unfreezeAccount(account);
+  const tx = await sendTransaction(contract, 'unfreezeAccount', [account]);
   show(`Unfreeze submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unfreeze confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unfreeze confirmed: ${tx.hash}${events}`);
 }
 
 async function handleEmergencyTransfer() {
@@ -233,26 +319,27 @@ async function handleEmergencyTransfer() {
   const from = parseAddress(document.getElementById('emergency-from').value, 'From');
   const to = parseAddress(document.getElementById('emergency-to').value, 'To');
   const amount = parseTokenAmount(document.getElementById('emergency-amount').value);
-  const tx = await contract.emergencyTransfer(from, to, amount);
+  const tx = await sendTransaction(contract, 'emergencyTransfer', [from, to, amount]);
   show(`Emergency transfer submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Emergency transfer confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Emergency transfer confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureStablecoin();
-  const [name, symbol, decimals, totalSupply, totalMinted, totalBurned, circulatingSupply, paused] =
-    await Promise.all([
-      contract.name(),
-      contract.symbol(),
-      contract.decimals(),
-      contract.totalSupply(),
-      contract.totalMinted(),
-      contract.totalBurned(),
-      contract.circulatingSupply(),
-      contract.paused()
-    ]);
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'name'],
+    [contract, 'symbol'],
+    [contract, 'decimals'],
+    [contract, 'totalSupply'],
+    [contract, 'totalMinted'],
+    [contract, 'totalBurned'],
+    [contract, 'circulatingSupply'],
+    [contract, 'paused']
+  ]);
+  const [name, symbol, decimals, totalSupply, totalMinted, totalBurned, circulatingSupply, paused] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Name: ${name}`,
     `Symbol: ${symbol}`,
     `Decimals: ${decimals}`,
@@ -309,21 +396,44 @@ async function handleCanTransfer() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'AEDStablecoin' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'aedStablecoin',
+    contractName: 'AEDStablecoin',
+    defaultAddress: AED_STABLECOIN_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'AEDStablecoin', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -345,12 +455,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
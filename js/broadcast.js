@@ -0,0 +1,254 @@
+import { AVALANCHE_TESTNET_C_NETWORK, FALAJ_NETWORK, findContractName, getExplorerBase } from './config.js';
+import { getReadProvider } from './rpc.js';
+import { loadAllAbis } from './abis.js';
+import { describeError, formatDecoded, getErrorCode } from './errors.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initTxTracker, trackTransaction, waitForTransaction } from './txTracker.js';
+import { initLogs, logEvent, logError } from './logs.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before broadcast.js.');
+}
+
+const KNOWN_NETWORKS = [FALAJ_NETWORK, AVALANCHE_TESTNET_C_NETWORK];
+const DIALOG_ID = 'broadcast-confirm';
+
+let decoded = null;
+
+function show(msg) {
+  document.getElementById('msg').textContent = msg;
+  logEvent(msg);
+}
+
+function showError(msg, details) {
+  document.getElementById('msg').textContent = msg;
+  logError(msg, details);
+}
+
+function parseRawTransaction(value) {
+  const raw = value.trim();
+  if (!ethers.isHexString(raw) || raw.length < 4) {
+    throw new Error('Raw transaction must be a 0x-prefixed hex string.');
+  }
+  let tx;
+  try {
+    tx = ethers.Transaction.from(raw);
+  } catch (err) {
+    throw new Error(`Not a valid signed transaction: ${err.shortMessage || err.message}`);
+  }
+  if (!tx.signature) {
+    throw new Error('The transaction is not signed.');
+  }
+  return { raw, tx };
+}
+
+async function decodeCall(tx) {
+  if (!tx.to) {
+    return { contract: null, call: 'Contract deployment', method: null, args: [] };
+  }
+  const contract = findContractName(tx.to, tx.chainId);
+  if (tx.data === '0x') {
+    return { contract, call: 'Plain transfer (no calldata)', method: null, args: [] };
+  }
+  const { abis } = await loadAllAbis();
+  const entries = Object.entries(abis);
+  const candidates = [
+    ...entries.filter(([name]) => name === contract),
+    ...entries.filter(([name]) => name !== contract)
+  ];
+  for (const [name, abi] of candidates) {
+    const parsed = new ethers.Interface(abi).parseTransaction({ data: tx.data, value: tx.value });
+    if (parsed) {
+      return {
+        contract,
+        call: formatDecoded(parsed.fragment, parsed.args),
+        method: parsed.name,
+        args: Array.from(parsed.args),
+        matchedAbi: name === contract ? null : name
+      };
+    }
+  }
+  return { contract, call: `Unknown function ${tx.data.slice(0, 10)}`, method: null, args: [] };
+}
+
+async function collectWarnings(tx, network, call) {
+  const warnings = [];
+  if (!network) {
+    warnings.push(`Chain ID ${tx.chainId} is not Falaj or Fuji in the active environment profile; it cannot be broadcast here.`);
+    return warnings;
+  }
+  if (tx.to && !call.contract) {
+    warnings.push(
+      call.matchedAbi
+        ? `The target is not a configured contract. The call matched the ${call.matchedAbi} ABI by selector only.`
+        : 'The target is not a configured contract.'
+    );
+  } else if (call.matchedAbi) {
+    warnings.push(`The ${call.contract} ABI does not have this call. It matched the ${call.matchedAbi} ABI by selector only.`);
+  }
+  const provider = getReadProvider(network);
+  const [latestNonce, pendingNonce, code] = await Promise.all([
+    provider.getTransactionCount(tx.from, 'latest'),
+    provider.getTransactionCount(tx.from, 'pending'),
+    tx.to ? provider.getCode(tx.to) : '0x'
+  ]);
+  if (tx.nonce < latestNonce) {
+    warnings.push(`Nonce ${tx.nonce} is already used; the signer's next nonce is ${latestNonce}. Broadcasting will fail.`);
+  } else if (tx.nonce > pendingNonce) {
+    warnings.push(
+      `Nonce ${tx.nonce} is ahead of the signer's next nonce (${pendingNonce}); it will wait until the gap is filled.`
+    );
+  } else if (tx.nonce < pendingNonce) {
+    warnings.push(`A pending transaction already uses nonce ${tx.nonce}; this one can only replace it with a higher fee.`);
+  }
+  if (tx.to && tx.data !== '0x' && code === '0x') {
+    warnings.push(`No contract code at ${tx.to} on ${network.chainName}.`);
+  }
+  return warnings;
+}
+
+function formatFee(tx) {
+  if (tx.maxFeePerGas !== null) {
+    return `max ${ethers.formatUnits(tx.maxFeePerGas, 'gwei')} gwei, priority ${ethers.formatUnits(tx.maxPriorityFeePerGas, 'gwei')} gwei`;
+  }
+  return `${ethers.formatUnits(tx.gasPrice ?? 0n, 'gwei')} gwei`;
+}
+
+function renderDecoded({ tx, network, call, warnings }) {
+  const table = document.getElementById('decoded');
+  table.innerHTML = '';
+  const symbol = network?.nativeCurrency?.symbol ?? 'native token';
+  const rows = [
+    ['Hash', tx.hash],
+    ['Signer', tx.from],
+    ['Chain', network ? `${network.chainName} (${tx.chainId})` : `Unknown (${tx.chainId})`],
+    ['Nonce', String(tx.nonce)],
+    ['To', tx.to ? `${tx.to}${call.contract ? ` (${call.contract})` : ''}` : '—'],
+    ['Call', call.call],
+    ['Value', `${ethers.formatEther(tx.value)} ${symbol}`],
+    ['Gas limit', tx.gasLimit.toString()],
+    ['Fee', formatFee(tx)],
+    ['Type', String(tx.type)]
+  ];
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('tr');
+    const head = document.createElement('th');
+    head.textContent = label;
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(head);
+    row.appendChild(cell);
+    table.appendChild(row);
+  });
+
+  const list = document.getElementById('decoded-warnings');
+  list.innerHTML = '';
+  warnings.forEach((warning) => {
+    const item = document.createElement('li');
+    item.className = 'broadcast-warning';
+    item.textContent = warning;
+    list.appendChild(item);
+  });
+}
+
+async function handleDecode() {
+  decoded = null;
+  document.getElementById('broadcast-btn').disabled = true;
+  const { raw, tx } = parseRawTransaction(document.getElementById('raw-tx').value);
+  const network = KNOWN_NETWORKS.find((entry) => BigInt(entry.chainId) === tx.chainId) ?? null;
+  const call = await decodeCall(tx);
+  const warnings = await collectWarnings(tx, network, call);
+  renderDecoded({ tx, network, call, warnings });
+  decoded = { raw, tx, network, call };
+  document.getElementById('broadcast-btn').disabled = !network;
+  show(`Decoded ${call.call} from ${tx.from} (nonce ${tx.nonce}, chain ${tx.chainId}).`);
+}
+
+function confirmBroadcast({ tx, network, call }) {
+  let dialog = document.getElementById(DIALOG_ID);
+  if (!dialog) {
+    dialog = document.createElement('dialog');
+    dialog.id = DIALOG_ID;
+    dialog.className = 'wallet-dialog tx-dialog';
+    document.body.appendChild(dialog);
+  }
+  dialog.innerHTML = '';
+  const title = document.createElement('h4');
+  title.textContent = 'Broadcast signed transaction?';
+  dialog.appendChild(title);
+  const summary = document.createElement('p');
+  summary.textContent =
+    `${call.call} to ${tx.to ?? 'a new contract'} on ${network.chainName}, signed by ${tx.from} with nonce ${tx.nonce}. ` +
+    'Once broadcast it cannot be recalled.';
+  dialog.appendChild(summary);
+  const actions = document.createElement('div');
+  actions.className = 'tx-actions';
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.textContent = 'Broadcast';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = 'Cancel';
+  actions.appendChild(confirm);
+  actions.appendChild(cancel);
+  dialog.appendChild(actions);
+
+  return new Promise((resolve) => {
+    let confirmed = false;
+    confirm.addEventListener('click', () => {
+      confirmed = true;
+      dialog.close();
+    });
+    cancel.addEventListener('click', () => dialog.close());
+    dialog.addEventListener('close', () => resolve(confirmed), { once: true });
+    dialog.showModal();
+  });
+}
+
+async function handleBroadcast() {
+  if (!decoded) {
+    throw new Error('Decode a transaction first.');
+  }
+  const { raw, network, call } = decoded;
+  if (!(await confirmBroadcast(decoded))) {
+    show('Broadcast cancelled.');
+    return;
+  }
+  const provider = getReadProvider(network);
+  const startBlock = await provider.getBlockNumber();
+  const tx = await provider.broadcastTransaction(raw);
+  trackTransaction(tx, { action: call.method ?? 'raw transaction', args: call.args, startBlock });
+  document.getElementById('broadcast-btn').disabled = true;
+  const explorerBase = getExplorerBase(network.chainId);
+  show(`Broadcast: ${tx.hash}${explorerBase ? `\n${explorerBase}/tx/${tx.hash}` : ''}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Broadcast transaction confirmed: ${tx.hash}${events}`);
+}
+
+function wireButton(id, handler) {
+  const button = document.getElementById(id);
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    try {
+      show('Working...');
+      await handler();
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`, { action: id, errorCode: getErrorCode(err) });
+    }
+  });
+}
+
+function boot() {
+  initLogs();
+  initTxTracker();
+  wireButton('decode-btn', handleDecode);
+  wireButton('broadcast-btn', handleBroadcast);
+  document.getElementById('raw-tx').addEventListener('input', () => {
+    decoded = null;
+    document.getElementById('broadcast-btn').disabled = true;
+  });
+}
+
+boot();
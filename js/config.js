@@ -1,50 +1,352 @@
-export const FALAJ_NETWORK = {
-  chainId: 75417,
-  chainName: 'Falaj Testnet',
-  rpcUrls: ['https://nodes-prod.18.182.4.86.sslip.io/ext/bc/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB/rpc'],
-  nativeCurrency: { name: 'E-AED', symbol: 'E-AED', decimals: 18 },
-  blockExplorerUrls: ['https://build.avax.network/explorer/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB']
-};
+const PROFILE_STORAGE_KEY = 'falaj.environment';
+const CUSTOM_PROFILES_STORAGE_KEY = 'falaj.customEnvironments';
+const PROFILE_QUERY_PARAM = 'env';
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const NETWORK_KEYS = ['falaj', 'fuji'];
+
+export const CONTRACT_ADDRESS_KEYS = [
+  'aedStablecoin',
+  'identityRegistry',
+  'bondToken',
+  'usdtBond',
+  'dvpSettlement',
+  'validatorStakingManager',
+  'feeDistribution',
+  'paymentProcessor',
+  'regulatedBridgeManager',
+  'teleporterMessenger',
+  'teleporterRegistry'
+];
 
-export const EXPLORER_BASE = 'https://build.avax.network/explorer/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB';
-export const FALAJ_BLOCKCHAIN_ID = 'H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB';
-export const TELEPORTER_MESSENGER_ADDRESS = '0x253b2784c75e510dD0fF1da844684a1aC0aa5fcf';
-export const TELEPORTER_REGISTRY_ADDRESS = '0x75fd8d3f961e2e8fcb810e87021f9cdd26a3fce6';
-
-export const AVALANCHE_TESTNET_C_NETWORK = {
-  chainId: 43113,
-  chainName: 'Avalanche Fuji C-Chain',
-  rpcUrls: ['https://api.avax-test.network/ext/bc/C/rpc'],
-  nativeCurrency: { name: 'AVAX', symbol: 'AVAX', decimals: 18 },
-  blockExplorerUrls: ['https://subnets-test.avax.network/c-chain']
+const CONTRACT_DEPLOYMENTS = {
+  aedStablecoin: { name: 'AEDStablecoin', network: 'falaj' },
+  identityRegistry: { name: 'IdentityRegistry', network: 'falaj' },
+  bondToken: { name: 'BondToken', network: 'falaj' },
+  usdtBond: { name: 'USDTBond', network: 'falaj' },
+  dvpSettlement: { name: 'DvPSettlement', network: 'falaj' },
+  validatorStakingManager: { name: 'ValidatorStakingManager', network: 'falaj' },
+  feeDistribution: { name: 'FeeDistribution', network: 'falaj' },
+  paymentProcessor: { name: 'PaymentProcessor', network: 'fuji' },
+  regulatedBridgeManager: { name: 'RegulatedBridgeManager', network: 'falaj' }
 };
 
-export const AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE = 'https://subnets-test.avax.network/c-chain';
-export const AVALANCHE_FUJI_C_CHAIN_BLOCKCHAIN_ID = 'yH8D7ThNJkxmtkuv2jgBa4P1Rn3Qpr4pPr7QYNfcdoS6k6HWp';
+export const DEPLOYMENTS_URL = 'contract/deployments.json';
+
+async function loadDeployments() {
+  try {
+    const response = await fetch(DEPLOYMENTS_URL);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${DEPLOYMENTS_URL}: ${response.status}`);
+    }
+    const registry = await response.json();
+    if (!Array.isArray(registry.deployments)) {
+      throw new Error(`${DEPLOYMENTS_URL} has no deployments list.`);
+    }
+    return { deployments: registry.deployments, error: null };
+  } catch (err) {
+    return { deployments: [], error: err };
+  }
+}
+
+const deploymentRegistry = await loadDeployments();
+
+export const DEPLOYMENTS = deploymentRegistry.deployments;
+export const DEPLOYMENTS_ERROR = deploymentRegistry.error;
+
+export function getLatestDeployment(contractName, chainId) {
+  return DEPLOYMENTS.filter((entry) => entry.contract === contractName && entry.chainId === Number(chainId)).reduce(
+    (latest, entry) => (!latest || entry.sequence > latest.sequence ? entry : latest),
+    null
+  );
+}
+
+function registryAddresses(networks) {
+  return Object.fromEntries(
+    Object.entries(CONTRACT_DEPLOYMENTS).flatMap(([key, { name, network }]) => {
+      const deployment = getLatestDeployment(name, networks[network].chainId);
+      return deployment ? [[key, deployment.proxy]] : [];
+    })
+  );
+}
+
+const BUILT_IN_PROFILES = [
+  {
+    id: 'testnet',
+    label: 'Falaj Testnet + Fuji',
+    networks: {
+      falaj: {
+        chainId: 75417,
+        chainName: 'Falaj Testnet',
+        rpcUrls: ['https://nodes-prod.18.182.4.86.sslip.io/ext/bc/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB/rpc'],
+        nativeCurrency: { name: 'E-AED', symbol: 'E-AED', decimals: 18 },
+        blockExplorerUrls: ['https://build.avax.network/explorer/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB']
+      },
+      fuji: {
+        chainId: 43113,
+        chainName: 'Avalanche Fuji C-Chain',
+        rpcUrls: [
+          'https://api.avax-test.network/ext/bc/C/rpc',
+          'https://avalanche-fuji-c-chain-rpc.publicnode.com'
+        ],
+        nativeCurrency: { name: 'AVAX', symbol: 'AVAX', decimals: 18 },
+        blockExplorerUrls: ['https://subnets-test.avax.network/c-chain']
+      }
+    },
+    explorers: {
+      falaj: 'https://build.avax.network/explorer/H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB',
+      fuji: 'https://subnets-test.avax.network/c-chain'
+    },
+    blockchainIds: {
+      falaj: 'H3hnSLUCbiQaY92f34SyiUFCpfiHqm1HkGtig5BDBKKk3ZJYB',
+      fuji: 'yH8D7ThNJkxmtkuv2jgBa4P1Rn3Qpr4pPr7QYNfcdoS6k6HWp'
+    },
+    multicall3: {
+      falaj: null,
+      fuji: '0xcA11bde05977b3631167028862bE2a173976CA11'
+    },
+    addresses: {
+      teleporterMessenger: '0x253b2784c75e510dD0fF1da844684a1aC0aa5fcf',
+      teleporterRegistry: '0x75fd8d3f961e2e8fcb810e87021f9cdd26a3fce6'
+    }
+  },
+  {
+    id: 'local',
+    label: 'Local devnet',
+    networks: {
+      falaj: {
+        chainId: 31337,
+        chainName: 'Local devnet',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        blockExplorerUrls: []
+      },
+      fuji: {
+        chainId: 31337,
+        chainName: 'Local devnet',
+        rpcUrls: ['http://127.0.0.1:8545'],
+        nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        blockExplorerUrls: []
+      }
+    },
+    explorers: { falaj: null, fuji: null },
+    blockchainIds: { falaj: null, fuji: null },
+    multicall3: { falaj: null, fuji: null },
+    addresses: {}
+  }
+];
+
+function readCustomProfiles() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_PROFILES_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function mergeProfile(profile) {
+  const base = BUILT_IN_PROFILES.find((entry) => entry.id === profile.base);
+  if (!base) {
+    return { ...profile, custom: true };
+  }
+  return {
+    ...base,
+    ...profile,
+    networks: {
+      falaj: { ...base.networks.falaj, ...profile.networks?.falaj },
+      fuji: { ...base.networks.fuji, ...profile.networks?.fuji }
+    },
+    explorers: { ...base.explorers, ...profile.explorers },
+    blockchainIds: { ...base.blockchainIds, ...profile.blockchainIds },
+    multicall3: { ...base.multicall3, ...profile.multicall3 },
+    addresses: { ...base.addresses, ...profile.addresses },
+    custom: true
+  };
+}
+
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error('Profile must be a JSON object.');
+  }
+  if (typeof profile.id !== 'string' || !/^[a-z0-9-]+$/.test(profile.id)) {
+    throw new Error('Profile id must use lowercase letters, digits and dashes.');
+  }
+  if (BUILT_IN_PROFILES.some((entry) => entry.id === profile.id)) {
+    throw new Error(`Profile id "${profile.id}" is reserved for a built-in profile.`);
+  }
+  if (profile.base && !BUILT_IN_PROFILES.some((entry) => entry.id === profile.base)) {
+    throw new Error(`Unknown base profile "${profile.base}".`);
+  }
+  const merged = mergeProfile(profile);
+  if (!merged.label) {
+    throw new Error('Profile label is required.');
+  }
+  NETWORK_KEYS.forEach((key) => {
+    const network = merged.networks?.[key];
+    if (!Number.isInteger(Number(network?.chainId)) || !network?.chainName || !network?.rpcUrls?.length) {
+      throw new Error(`Profile network "${key}" needs chainId, chainName and rpcUrls.`);
+    }
+  });
+  Object.entries(merged.multicall3 ?? {}).forEach(([key, address]) => {
+    if (!NETWORK_KEYS.includes(key)) {
+      throw new Error(`Unknown network "${key}" in profile multicall3.`);
+    }
+    if (address && !ADDRESS_PATTERN.test(address)) {
+      throw new Error(`Invalid Multicall3 address for ${key}: ${address}`);
+    }
+  });
+  Object.entries(merged.addresses ?? {}).forEach(([key, address]) => {
+    if (!CONTRACT_ADDRESS_KEYS.includes(key)) {
+      throw new Error(`Unknown contract "${key}" in profile addresses.`);
+    }
+    if (address && !ADDRESS_PATTERN.test(address)) {
+      throw new Error(`Invalid address for ${key}: ${address}`);
+    }
+  });
+  return merged;
+}
+
+export function listProfiles() {
+  const custom = readCustomProfiles().flatMap((profile) => {
+    try {
+      return [validateProfile(profile)];
+    } catch (err) {
+      return [];
+    }
+  });
+  return [...BUILT_IN_PROFILES, ...custom];
+}
+
+export function saveCustomProfile(profile) {
+  const merged = validateProfile(profile);
+  const stored = readCustomProfiles().filter((entry) => entry.id !== profile.id);
+  stored.push(profile);
+  localStorage.setItem(CUSTOM_PROFILES_STORAGE_KEY, JSON.stringify(stored));
+  return merged;
+}
+
+export function removeCustomProfile(id) {
+  const stored = readCustomProfiles().filter((entry) => entry.id !== id);
+  localStorage.setItem(CUSTOM_PROFILES_STORAGE_KEY, JSON.stringify(stored));
+  if (localStorage.getItem(PROFILE_STORAGE_KEY) === id) {
+    localStorage.removeItem(PROFILE_STORAGE_KEY);
+  }
+}
+
+export function selectProfile(id) {
+  if (!listProfiles().some((profile) => profile.id === id)) {
+    throw new Error(`Unknown environment profile "${id}".`);
+  }
+  localStorage.setItem(PROFILE_STORAGE_KEY, id);
+  const url = new URL(window.location.href);
+  url.searchParams.delete(PROFILE_QUERY_PARAM);
+  window.location.assign(url.toString());
+}
+
+function resolveActiveProfile() {
+  const profiles = listProfiles();
+  const requested = new URLSearchParams(window.location.search).get(PROFILE_QUERY_PARAM);
+  const fromQuery = profiles.find((profile) => profile.id === requested);
+  if (fromQuery) {
+    localStorage.setItem(PROFILE_STORAGE_KEY, fromQuery.id);
+    return fromQuery;
+  }
+  const stored = profiles.find((profile) => profile.id === localStorage.getItem(PROFILE_STORAGE_KEY));
+  return stored ?? BUILT_IN_PROFILES[0];
+}
+
+export function getExplorerBase(chainId) {
+  for (const profile of [ACTIVE_PROFILE, ...listProfiles()]) {
+    const key = NETWORK_KEYS.find((entry) => Number(profile.networks[entry].chainId) === Number(chainId));
+    if (key && profile.explorers?.[key]) {
+      return profile.explorers[key];
+    }
+  }
+  return null;
+}
+
+function withRegistryAddresses(profile) {
+  return { ...profile, addresses: { ...registryAddresses(profile.networks), ...profile.addresses } };
+}
+
+export const ACTIVE_PROFILE = withRegistryAddresses(resolveActiveProfile());
+
+export function getMulticall3Address(chainId) {
+  const key = NETWORK_KEYS.find((entry) => Number(ACTIVE_PROFILE.networks[entry].chainId) === Number(chainId));
+  return key ? ACTIVE_PROFILE.multicall3?.[key] ?? null : null;
+}
+
+export function requireAddress(address, contractName) {
+  if (!address) {
+    const registryNote = DEPLOYMENTS_ERROR ? ` The deployment registry did not load: ${DEPLOYMENTS_ERROR.message}` : '';
+    throw new Error(`${contractName} has no address in the "${ACTIVE_PROFILE.label}" environment profile.${registryNote}`);
+  }
+  return address;
+}
+
+function isOnChain(contractKey, chainId) {
+  const network = CONTRACT_DEPLOYMENTS[contractKey]?.network;
+  return !network || chainId === undefined || Number(ACTIVE_PROFILE.networks[network].chainId) === Number(chainId);
+}
+
+export function findContractKey(address, chainId) {
+  const match = Object.entries(ACTIVE_PROFILE.addresses).find(
+    ([key, value]) => value && address && value.toLowerCase() === address.toLowerCase() && isOnChain(key, chainId)
+  );
+  return match ? match[0] : null;
+}
+
+export function findContractName(address, chainId) {
+  const key = findContractKey(address, chainId);
+  if (!key) {
+    return null;
+  }
+  return CONTRACT_DEPLOYMENTS[key]?.name ?? key;
+}
+
+export function getActiveDeployment(contractKey) {
+  const { name, network } = CONTRACT_DEPLOYMENTS[contractKey];
+  const deployment = getLatestDeployment(name, ACTIVE_PROFILE.networks[network].chainId);
+  return deployment && deployment.proxy.toLowerCase() === ACTIVE_PROFILE.addresses[contractKey]?.toLowerCase()
+    ? deployment
+    : null;
+}
+
+export const FALAJ_NETWORK = ACTIVE_PROFILE.networks.falaj;
+
+export const EXPLORER_BASE = ACTIVE_PROFILE.explorers?.falaj ?? null;
+export const FALAJ_BLOCKCHAIN_ID = ACTIVE_PROFILE.blockchainIds?.falaj ?? null;
+export const TELEPORTER_MESSENGER_ADDRESS = ACTIVE_PROFILE.addresses.teleporterMessenger;
+export const TELEPORTER_REGISTRY_ADDRESS = ACTIVE_PROFILE.addresses.teleporterRegistry;
+
+export const AVALANCHE_TESTNET_C_NETWORK = ACTIVE_PROFILE.networks.fuji;
+
+export const AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE = ACTIVE_PROFILE.explorers?.fuji ?? null;
+export const AVALANCHE_FUJI_C_CHAIN_BLOCKCHAIN_ID = ACTIVE_PROFILE.blockchainIds?.fuji ?? null;
 
-export const AED_STABLECOIN_ADDRESS = '0xa5be895EB6DD499b688AE4bD42Fd78500cE24b0F';
+export const AED_STABLECOIN_ADDRESS = ACTIVE_PROFILE.addresses.aedStablecoin;
 export const AED_STABLECOIN_ABI_URL = 'contract/abi/AEDStablecoin.json';
 
-export const IDENTITY_REGISTRY_ADDRESS = '0x189c4B40C5d073231e8fcd65370F55B55f25321c';
+export const IDENTITY_REGISTRY_ADDRESS = ACTIVE_PROFILE.addresses.identityRegistry;
 export const IDENTITY_REGISTRY_ABI_URL = 'contract/abi/IdentityRegistry.json';
 
-export const BOND_TOKEN_ADDRESS = '0x67CEe293144b8d8f02A83C53E4d4CcA6D2552726';
+export const BOND_TOKEN_ADDRESS = ACTIVE_PROFILE.addresses.bondToken;
 export const BOND_TOKEN_ABI_URL = 'contract/abi/BondToken.json';
 
-export const USDT_BOND_ADDRESS = '0x389c68C83409264E89178bf2B567CbFE48E0EbB7';
+export const USDT_BOND_ADDRESS = ACTIVE_PROFILE.addresses.usdtBond;
 export const USDT_BOND_ABI_URL = 'contract/abi/USDTBond.json';
 
-export const DVP_SETTLEMENT_ADDRESS = '0x99383F536F47961C3A1A427f8bbC89324Cc952D8';
+export const DVP_SETTLEMENT_ADDRESS = ACTIVE_PROFILE.addresses.dvpSettlement;
 export const DVP_SETTLEMENT_ABI_URL = 'contract/abi/DvPSettlement.json';
 
-export const VALIDATOR_STAKING_MANAGER_ADDRESS = '0x0BdEd9E4DF4877e9A1d7aa51ee157a8e5CA8fbd4';
+export const VALIDATOR_STAKING_MANAGER_ADDRESS = ACTIVE_PROFILE.addresses.validatorStakingManager;
 export const VALIDATOR_STAKING_MANAGER_ABI_URL = 'contract/abi/ValidatorStakingManager.json';
 
-export const FEE_DISTRIBUTION_ADDRESS = '0xF83363525623b2d937f3133c188C0c3159724D23';
+export const FEE_DISTRIBUTION_ADDRESS = ACTIVE_PROFILE.addresses.feeDistribution;
 export const FEE_DISTRIBUTION_ABI_URL = 'contract/abi/FeeDistribution.json';
 
-export const PAYMENT_PROCESSOR_ADDRESS = '0x189c4B40C5d073231e8fcd65370F55B55f25321c';
+export const PAYMENT_PROCESSOR_ADDRESS = ACTIVE_PROFILE.addresses.paymentProcessor;
 export const PAYMENT_PROCESSOR_ABI_URL = 'contract/abi/PaymentProcessor.json';
 
-export const REGULATED_BRIDGE_MANAGER_ADDRESS = '0x7496Ae44e973c303fbF1fA58940cfa9ec9E08a1D';
+export const REGULATED_BRIDGE_MANAGER_ADDRESS = ACTIVE_PROFILE.addresses.regulatedBridgeManager;
 export const REGULATED_BRIDGE_MANAGER_ABI_URL = 'contract/abi/RegulatedBridgeManager.json';
@@ -0,0 +1,130 @@
+import { DEPLOYMENTS, DEPLOYMENTS_ERROR, DEPLOYMENTS_URL, getExplorerBase } from './config.js';
+import { initLogs, logEvent, logError } from './logs.js';
+import { initTxTracker } from './txTracker.js';
+
+function showError(message) {
+  const target = document.getElementById('msg');
+  target.textContent = message;
+  logError(message);
+}
+
+function createAddressCell(address, chainId) {
+  const cell = document.createElement('td');
+  const explorerBase = getExplorerBase(chainId);
+  const code = document.createElement('code');
+  code.textContent = address;
+  if (!explorerBase) {
+    cell.appendChild(code);
+    return cell;
+  }
+  const link = document.createElement('a');
+  link.href = `${explorerBase}/address/${address}`;
+  link.target = '_blank';
+  link.appendChild(code);
+  cell.appendChild(link);
+  return cell;
+}
+
+function createTextCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text;
+  return cell;
+}
+
+function describeChange(entry, previous) {
+  if (!previous) {
+    return 'Initial deployment';
+  }
+  if (entry.proxy.toLowerCase() !== previous.proxy.toLowerCase()) {
+    return `New proxy (replaces ${previous.proxy})`;
+  }
+  return `Upgrade from ABI v${previous.abiVersion}`;
+}
+
+function groupDeployments(deployments) {
+  const groups = new Map();
+  deployments.forEach((entry) => {
+    const key = `${entry.contract}:${entry.chainId}`;
+    if (!groups.has(key)) {
+      groups.set(key, { contract: entry.contract, network: entry.network, chainId: entry.chainId, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  });
+  return [...groups.values()]
+    .map((group) => ({ ...group, entries: group.entries.sort((a, b) => a.sequence - b.sequence) }))
+    .sort((a, b) => a.contract.localeCompare(b.contract) || a.chainId - b.chainId);
+}
+
+function renderGroup(group) {
+  const section = document.createElement('section');
+  section.className = 'deployment-group';
+
+  const title = document.createElement('h4');
+  title.textContent = `${group.contract} · ${group.network} (${group.chainId})`;
+  section.appendChild(title);
+
+  const table = document.createElement('table');
+  table.className = 'deployment-table';
+  const head = document.createElement('tr');
+  ['#', 'Date', 'Proxy', 'Implementation', 'ABI', 'Change'].forEach((label) => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+  table.appendChild(head);
+
+  const latest = group.entries[group.entries.length - 1];
+  group.entries
+    .slice()
+    .reverse()
+    .forEach((entry) => {
+      const index = group.entries.indexOf(entry);
+      const previous = group.entries[index - 1];
+      const row = document.createElement('tr');
+      if (entry === latest) {
+        row.className = 'deployment-latest';
+      }
+      row.appendChild(createTextCell(String(entry.sequence)));
+      row.appendChild(createTextCell(entry.date));
+      row.appendChild(createAddressCell(entry.proxy, entry.chainId));
+      row.appendChild(createAddressCell(entry.implementation, entry.chainId));
+      row.appendChild(createTextCell(`v${entry.abiVersion}`));
+      const description = describeChange(entry, previous);
+      const change = createTextCell(entry === latest ? `${description} · current` : description);
+      if (previous && entry.date < previous.date) {
+        const note = document.createElement('div');
+        note.className = 'deployment-note';
+        note.textContent = `Dated before the previous row (${previous.date}); the log order is used.`;
+        change.appendChild(note);
+      }
+      row.appendChild(change);
+      table.appendChild(row);
+    });
+
+  section.appendChild(table);
+  return section;
+}
+
+function renderDeployments() {
+  const summary = document.getElementById('deployments-summary');
+  const target = document.getElementById('deployments');
+  target.innerHTML = '';
+  if (DEPLOYMENTS_ERROR) {
+    showError(`Error: ${DEPLOYMENTS_ERROR.message}`);
+    return;
+  }
+  const groups = groupDeployments(DEPLOYMENTS);
+  summary.textContent =
+    `${DEPLOYMENTS.length} deployments of ${groups.length} contract/chain pairs from ${DEPLOYMENTS_URL}. ` +
+    'The highlighted row is the current deployment; the log order decides which row is latest.';
+  groups.forEach((group) => target.appendChild(renderGroup(group)));
+  logEvent(`Loaded ${DEPLOYMENTS.length} deployments from ${DEPLOYMENTS_URL}.`);
+}
+
+function boot() {
+  initLogs();
+  initTxTracker();
+  renderDeployments();
+}
+
+boot();
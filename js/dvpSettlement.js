@@ -1,21 +1,37 @@
 import {
+  ACTIVE_PROFILE,
   DVP_SETTLEMENT_ABI_URL,
   DVP_SETTLEMENT_ADDRESS,
   EXPLORER_BASE,
-  FALAJ_NETWORK
+  FALAJ_NETWORK,
+  getActiveDeployment,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -36,6 +52,8 @@ const INTEGER_PATTERN = /^\d+$/;
 
 let dvpAbi = null;
 let dvpSettlement = null;
+let contractAddress = DVP_SETTLEMENT_ADDRESS;
+let sessionGeneration = 0;
 
 function normalizeAbi(abiData) {
   if (Array.isArray(abiData)) {
@@ -69,32 +87,47 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
+  logError(msg, details);
 }
 
+const WRITE_ACTION_METHODS = {
+  'create-btn': 'createSettlement',
+  'deposit-bond-btn': 'depositBond',
+  'deposit-aed-btn': 'depositAED',
+  'execute-btn': 'execute',
+  'cancel-btn': 'cancel',
+  'claim-btn': 'claimExpiredRefund',
+  'timeout-btn': 'setSettlementTimeout',
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
+
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'create-btn',
-    'deposit-bond-btn',
-    'deposit-aed-btn',
-    'execute-btn',
-    'cancel-btn',
-    'claim-btn',
-    'timeout-btn',
-    'pause-btn',
-    'unpause-btn',
-    'summary-btn',
-    'roles-btn',
-    'get-btn',
-    'can-execute-btn',
-    'participant-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureDvpSettlement(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -185,42 +218,96 @@ async function ensureDvpSettlement() {
   if (dvpSettlement) {
     return dvpSettlement;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getDvpAbi();
-  dvpSettlement = new ethers.Contract(DVP_SETTLEMENT_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'DvPSettlement');
+  dvpSettlement = new ethers.Contract(address, abi, runner);
   return dvpSettlement;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureDvpSettlement();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   dvpSettlement = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${DVP_SETTLEMENT_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${DVP_SETTLEMENT_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === DVP_SETTLEMENT_ADDRESS ? getActiveDeployment('dvpSettlement') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'DvPSettlement', address, network: FALAJ_NETWORK });
+  dvpSettlement = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleCreateSettlement() {
@@ -229,99 +316,95 @@ async function handleCreateSettlement() {
   const bondAmount = parseBondAmount(document.getElementById('create-bond-amount').value);
   const aedAmount = parseAedAmount(document.getElementById('create-aed-amount').value);
   const buyer = parseAddress(document.getElementById('create-buyer').value, 'Buyer');
-  const tx = await contract.createSettlement(bondToken, bondAmount, aedAmount, buyer);
+  const tx = await sendTransaction(contract, 'createSettlement', [bondToken, bondAmount, aedAmount, buyer]);
   show(`Create settlement submitted: ${tx.hash}`);
-  const receipt = await tx.wait();
-  show(`Create settlement confirmed: ${tx.hash}\nLogs: ${receipt.logs.length}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Create settlement confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDepositBond() {
   const contract = await ensureDvpSettlement();
   const id = parseId(document.getElementById('deposit-bond-id').value);
-  const tx = await contract.depositBond(id);
+  const tx = await sendTransaction(contract, 'depositBond', [id]);
   show(`Bond deposit submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Bond deposit confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Bond deposit confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDepositAed() {
   const contract = await ensureDvpSettlement();
   const id = parseId(document.getElementById('deposit-aed-id').value);
-  const tx = await contract.depositAED(id);
+  const tx = await sendTransaction(contract, 'depositAED', [id]);
   show(`AED deposit submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`AED deposit confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`AED deposit confirmed: ${tx.hash}${events}`);
 }
 
 async function handleExecute() {
   const contract = await ensureDvpSettlement();
   const id = parseId(document.getElementById('execute-id').value);
-  const tx = await contract.execute(id);
+  const tx = await sendTransaction(contract, 'execute', [id]);
   show(`Execute submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Execute confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Execute confirmed: ${tx.hash}${events}`);
 }
 
 async function handleCancel() {
   const contract = await ensureDvpSettlement();
   const id = parseId(document.getElementById('cancel-id').value);
   const reason = requireValue(document.getElementById('cancel-reason').value, 'Reason');
-  const tx = await contract.cancel(id, reason);
+  const tx = await sendTransaction(contract, 'cancel', [id, reason]);
   show(`Cancel submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Cancel confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Cancel confirmed: ${tx.hash}${events}`);
 }
 
 async function handleClaimExpired() {
   const contract = await ensureDvpSettlement();
   const id = parseId(document.getElementById('claim-id').value);
-  const tx = await contract.claimExpiredRefund(id);
+  const tx = await sendTransaction(contract, 'claimExpiredRefund', [id]);
   show(`Claim refund submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Claim refund confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Claim refund confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUpdateTimeout() {
   const contract = await ensureDvpSettlement();
   const secondsRaw = parsePositiveNumber(document.getElementById('timeout-seconds').value, 'Timeout');
-  const tx = await contract.setSettlementTimeout(BigInt(Math.trunc(Number(secondsRaw))));
+  const tx = await sendTransaction(contract, 'setSettlementTimeout', [BigInt(Math.trunc(Number(secondsRaw)))]);
   show(`Update timeout submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Update timeout confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Update timeout confirmed: ${tx.hash}${events}`);
 }
 
 async function handlePause() {
   const contract = await ensureDvpSettlement();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Pause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Pause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensureDvpSettlement();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureDvpSettlement();
-  const [
-    settlementCount,
-    settlementTimeout,
-    identityRegistry,
-    aedStablecoin,
-    paused
-  ] = await Promise.all([
-    contract.settlementCount(),
-    contract.settlementTimeout(),
-    contract.identityRegistry(),
-    contract.aedStablecoin(),
-    contract.paused()
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'settlementCount'],
+    [contract, 'settlementTimeout'],
+    [contract, 'identityRegistry'],
+    [contract, 'aedStablecoin'],
+    [contract, 'paused']
   ]);
+  const [settlementCount, settlementTimeout, identityRegistry, aedStablecoin, paused] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Settlement count: ${settlementCount}`,
     `Settlement timeout (seconds): ${settlementTimeout}`,
     `Identity registry: ${identityRegistry}`,
@@ -405,21 +488,44 @@ async function handleParticipantSettlements() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'DvPSettlement' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'dvpSettlement',
+    contractName: 'DvPSettlement',
+    defaultAddress: DVP_SETTLEMENT_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'DvPSettlement', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -440,12 +546,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
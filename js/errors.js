@@ -0,0 +1,131 @@
+import { loadAllAbis } from './abis.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before errors.js.');
+}
+
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialised function'
+};
+
+const CODE_MESSAGES = {
+  ACTION_REJECTED: 'Request rejected in the wallet.',
+  INSUFFICIENT_FUNDS: 'Insufficient funds to cover the value plus gas for this transaction.',
+  NONCE_EXPIRED: 'Nonce already used. A transaction with this nonce has been mined.',
+  REPLACEMENT_UNDERPRICED: 'Replacement fee too low. Raise the max fee and priority fee to replace the pending transaction.',
+  TRANSACTION_REPLACED: 'Transaction was replaced by another transaction with the same nonce.',
+  NETWORK_ERROR: 'Network error while talking to the RPC endpoint.',
+  TIMEOUT: 'Request timed out.'
+};
+
+const errorInterface = await loadAllAbis().then(
+  ({ combined }) => combined,
+  () => null
+);
+
+function findRevertData(err, depth = 0) {
+  if (!err || typeof err !== 'object' || depth > 5) {
+    return null;
+  }
+  if (typeof err.data === 'string' && /^0x[0-9a-fA-F]{8}/.test(err.data)) {
+    return err.data;
+  }
+  for (const key of ['data', 'error', 'info', 'cause']) {
+    const found = findRevertData(err[key], depth + 1);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function formatArg(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${Array.from(value, formatArg).join(', ')}]`;
+  }
+  return String(value);
+}
+
+export function formatDecoded(fragment, args) {
+  const parts = fragment.inputs.map((input, index) => {
+    const value = formatArg(args[index]);
+    return input.name ? `${input.name}=${value}` : value;
+  });
+  return `${fragment.name}(${parts.join(', ')})`;
+}
+
+export function decodeRevertData(data) {
+  if (!data || data === '0x') {
+    return null;
+  }
+  const selector = data.slice(0, 10);
+  if (selector === '0x08c379a0') {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(['string'], ethers.dataSlice(data, 4));
+    return reason;
+  }
+  if (selector === '0x4e487b71') {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(['uint256'], ethers.dataSlice(data, 4));
+    return `Panic 0x${code.toString(16).padStart(2, '0')}: ${PANIC_REASONS[Number(code)] ?? 'unknown panic code'}`;
+  }
+  const parsed = errorInterface?.parseError(data);
+  if (parsed) {
+    return formatDecoded(parsed.fragment, parsed.args);
+  }
+  return `unknown custom error ${selector}`;
+}
+
+export function describeError(err) {
+  if (!err) {
+    return 'Unknown error';
+  }
+  if (CODE_MESSAGES[err.code]) {
+    return CODE_MESSAGES[err.code];
+  }
+  const data = findRevertData(err);
+  if (data) {
+    try {
+      return `Reverted: ${decodeRevertData(data)}`;
+    } catch (decodeErr) {
+      return `Reverted with undecodable data ${data.slice(0, 10)}`;
+    }
+  }
+  if (err.code === 'CALL_EXCEPTION') {
+    return err.reason ? `Reverted: ${err.reason}` : 'Reverted without a reason (no revert data returned).';
+  }
+  return err.shortMessage || err.message || String(err);
+}
+
+export function getErrorCode(err) {
+  if (!err) {
+    return null;
+  }
+  const data = findRevertData(err);
+  if (data) {
+    const selector = data.slice(0, 10);
+    if (selector === '0x08c379a0') {
+      return 'Error(string)';
+    }
+    if (selector === '0x4e487b71') {
+      return 'Panic(uint256)';
+    }
+    try {
+      return errorInterface?.parseError(data)?.name ?? selector;
+    } catch (parseErr) {
+      return selector;
+    }
+  }
+  return err.code ?? null;
+}
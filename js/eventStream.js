@@ -0,0 +1,90 @@
+import { getReadProvider } from './rpc.js';
+import { decodeReceiptLogs } from './receipts.js';
+import { describeError } from './errors.js';
+import { logChainEvent, logError } from './logs.js';
+
+const POLL_INTERVAL_MS = 4000;
+const MAX_BLOCK_RANGE = 2000;
+
+let stream = null;
+
+function scheduleNext(current) {
+  current.timer = setTimeout(() => poll(current), POLL_INTERVAL_MS);
+}
+
+async function readNewLogs(current) {
+  const provider = getReadProvider(current.network);
+  const latest = await provider.getBlockNumber();
+  if (stream !== current) {
+    return;
+  }
+  if (current.nextBlock === null) {
+    current.nextBlock = latest + 1;
+    logChainEvent(`Watching ${current.name} events at ${current.address} from block ${current.nextBlock}.`, {
+      contract: current.name,
+      chainId: Number(current.network.chainId)
+    });
+    return;
+  }
+  if (latest < current.nextBlock) {
+    return;
+  }
+  const toBlock = Math.min(latest, current.nextBlock + MAX_BLOCK_RANGE - 1);
+  const logs = await provider.getLogs({ address: current.address, fromBlock: current.nextBlock, toBlock });
+  if (stream !== current) {
+    return;
+  }
+  current.nextBlock = toBlock + 1;
+  const events = await decodeReceiptLogs({ logs, chainId: current.network.chainId });
+  events.forEach((event, index) => {
+    const log = logs[index];
+    logChainEvent(`${event.description} · block ${log.blockNumber} · ${log.transactionHash}`, {
+      contract: event.contract,
+      action: event.name,
+      chainId: Number(current.network.chainId),
+      txHash: log.transactionHash,
+      block: log.blockNumber
+    });
+  });
+}
+
+async function poll(current) {
+  if (stream !== current) {
+    return;
+  }
+  if (!document.hidden) {
+    try {
+      await readNewLogs(current);
+      current.failing = false;
+    } catch (err) {
+      if (!current.failing) {
+        logError(
+          `${current.name} event stream failed (${describeError(err)}); retrying every ${POLL_INTERVAL_MS / 1000}s.`
+        );
+      }
+      current.failing = true;
+    }
+  }
+  if (stream === current) {
+    scheduleNext(current);
+  }
+}
+
+export function stopEventStream() {
+  if (stream) {
+    clearTimeout(stream.timer);
+    stream = null;
+  }
+}
+
+export function startEventStream({ name, address, network }) {
+  if (stream && stream.address === address && stream.network === network) {
+    return;
+  }
+  stopEventStream();
+  if (!address) {
+    return;
+  }
+  stream = { name, address, network, nextBlock: null, timer: null, failing: false };
+  poll(stream);
+}
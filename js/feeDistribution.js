@@ -1,20 +1,36 @@
 import {
+  ACTIVE_PROFILE,
   EXPLORER_BASE,
   FALAJ_NETWORK,
   FEE_DISTRIBUTION_ABI_URL,
-  FEE_DISTRIBUTION_ADDRESS
+  FEE_DISTRIBUTION_ADDRESS,
+  getActiveDeployment,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -24,6 +40,8 @@ if (!ethers) {
 
 let feeDistributionAbi = null;
 let feeDistribution = null;
+let contractAddress = FEE_DISTRIBUTION_ADDRESS;
+let sessionGeneration = 0;
 
 function normalizeAbi(abiData) {
   if (Array.isArray(abiData)) {
@@ -57,33 +75,48 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
+  logError(msg, details);
 }
 
+const WRITE_ACTION_METHODS = {
+  'collect-fees-btn': 'collectFees',
+  'distribute-btn': 'distribute',
+  'withdraw-fees-btn': 'withdrawServiceProviderFees',
+  'withdraw-fees-to-btn': 'withdrawServiceProviderFeesTo',
+  'set-service-provider-btn': 'setServiceProvider',
+  'set-service-provider-fee-btn': 'setServiceProviderFee',
+  'set-validator-manager-btn': 'setValidatorStakingManager',
+  'grant-role-btn': 'grantRole',
+  'revoke-role-btn': 'revokeRole',
+  'renounce-role-btn': 'renounceRole'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
+
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'collect-fees-btn',
-    'distribute-btn',
-    'withdraw-fees-btn',
-    'withdraw-fees-to-btn',
-    'set-service-provider-btn',
-    'set-service-provider-fee-btn',
-    'set-validator-manager-btn',
-    'grant-role-btn',
-    'revoke-role-btn',
-    'renounce-role-btn',
-    'summary-btn',
-    'roles-btn',
-    'stats-btn',
-    'role-admin-btn',
-    'has-role-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureFeeDistribution(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -134,137 +167,202 @@ async function ensureFeeDistribution() {
   if (feeDistribution) {
     return feeDistribution;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getFeeDistributionAbi();
-  feeDistribution = new ethers.Contract(FEE_DISTRIBUTION_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'FeeDistribution');
+  feeDistribution = new ethers.Contract(address, abi, runner);
   return feeDistribution;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureFeeDistribution();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   feeDistribution = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${FEE_DISTRIBUTION_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${FEE_DISTRIBUTION_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === FEE_DISTRIBUTION_ADDRESS ? getActiveDeployment('feeDistribution') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'FeeDistribution', address, network: FALAJ_NETWORK });
+  feeDistribution = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleCollectFees() {
   const contract = await ensureFeeDistribution();
   const amount = parseEtherAmount(document.getElementById('collect-fees-amount').value, 'Fee amount');
-  const tx = await contract.collectFees({ value: amount });
+  const tx = await sendTransaction(contract, 'collectFees', [], { value: amount });
   show(`Collect fees submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Collect fees confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Collect fees confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDistribute() {
   const contract = await ensureFeeDistribution();
-  const tx = await contract.distribute();
+  const tx = await sendTransaction(contract, 'distribute');
   show(`Distribution submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Distribution confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Distribution confirmed: ${tx.hash}${events}`);
 }
 
 async function handleWithdrawFees() {
   const contract = await ensureFeeDistribution();
-  const tx = await contract.withdrawServiceProviderFees();
+  const tx = await sendTransaction(contract, 'withdrawServiceProviderFees');
   show(`Withdraw fees submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Withdraw fees confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Withdraw fees confirmed: ${tx.hash}${events}`);
 }
 
 async function handleWithdrawFeesTo() {
   const contract = await ensureFeeDistribution();
   const to = parseAddress(document.getElementById('withdraw-fees-to').value, 'Recipient');
-  const tx = await contract.withdrawServiceProviderFeesTo(to);
+  const tx = await sendTransaction(contract, 'withdrawServiceProviderFeesTo', [to]);
   show(`Withdraw fees submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Withdraw fees confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Withdraw fees confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetServiceProvider() {
   const contract = await ensureFeeDistribution();
   const provider = parseAddress(document.getElementById('service-provider-address').value, 'Service provider');
-  const tx = await contract.setServiceProvider(provider);
+  const tx = await sendTransaction(contract, 'setServiceProvider', [provider]);
   show(`Service provider update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Service provider update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Service provider update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetServiceProviderFee() {
   const contract = await ensureFeeDistribution();
   const fee = parseUint(document.getElementById('service-provider-fee').value, 'Service provider fee');
-  const tx = await contract.setServiceProviderFee(fee);
+  const tx = await sendTransaction(contract, 'setServiceProviderFee', [fee]);
   show(`Service provider fee submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Service provider fee confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Service provider fee confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetValidatorManager() {
   const contract = await ensureFeeDistribution();
   const manager = parseAddress(document.getElementById('validator-manager-address').value, 'Validator staking manager');
-  const tx = await contract.setValidatorStakingManager(manager);
+  const tx = await sendTransaction(contract, 'setValidatorStakingManager', [manager]);
   show(`Validator manager update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Validator manager update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Validator manager update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleGrantRole() {
   const contract = await ensureFeeDistribution();
   const role = parseRole(document.getElementById('grant-role-value').value);
   const account = parseAddress(document.getElementById('grant-role-account').value, 'Account');
-  const tx = await contract.grantRole(role, account);
+  const tx = await sendTransaction(contract, 'grantRole', [role, account]);
   show(`Grant role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Grant role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Grant role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRevokeRole() {
   const contract = await ensureFeeDistribution();
   const role = parseRole(document.getElementById('revoke-role-value').value);
   const account = parseAddress(document.getElementById('revoke-role-account').value, 'Account');
-  const tx = await contract.revokeRole(role, account);
+  const tx = await sendTransaction(contract, 'revokeRole', [role, account]);
   show(`Revoke role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Revoke role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Revoke role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRenounceRole() {
   const contract = await ensureFeeDistribution();
   const role = parseRole(document.getElementById('renounce-role-value').value);
   const account = parseAddress(document.getElementById('renounce-role-account').value, 'Account');
-  const tx = await contract.renounceRole(role, account);
+  const tx = await sendTransaction(contract, 'renounceRole', [role, account]);
   show(`Renounce role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Renounce role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Renounce role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureFeeDistribution();
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'getContractBalance'],
+    [contract, 'pendingFees'],
+    [contract, 'pendingDistribution'],
+    [contract, 'serviceProvider'],
+    [contract, 'validatorStakingManager'],
+    [contract, 'serviceProviderFee'],
+    [contract, 'totalDistributedToValidators'],
+    [contract, 'totalDistributedToServiceProvider'],
+    [contract, 'getLastDistribution']
+  ]);
   const [
     balance,
     pendingFees,
@@ -275,18 +373,9 @@ async function handleSummary() {
     totalValidators,
     totalProvider,
     lastDistribution
-  ] = await Promise.all([
-    contract.getContractBalance(),
-    contract.pendingFees(),
-    contract.pendingDistribution(),
-    contract.serviceProvider(),
-    contract.validatorStakingManager(),
-    contract.serviceProviderFee(),
-    contract.totalDistributedToValidators(),
-    contract.totalDistributedToServiceProvider(),
-    contract.getLastDistribution()
-  ]);
+  ] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Contract balance: ${ethers.formatEther(balance)} AVAX`,
     `Pending fees: ${ethers.formatEther(pendingFees)} AVAX`,
     `Pending distribution: ${ethers.formatEther(pendingDistribution)} AVAX`,
@@ -341,21 +430,44 @@ async function handleHasRole() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'FeeDistribution' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'feeDistribution',
+    contractName: 'FeeDistribution',
+    defaultAddress: FEE_DISTRIBUTION_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'FeeDistribution', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -377,12 +489,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
@@ -1,20 +1,36 @@
 import {
+  ACTIVE_PROFILE,
   EXPLORER_BASE,
   FALAJ_NETWORK,
+  getActiveDeployment,
   IDENTITY_REGISTRY_ABI_URL,
-  IDENTITY_REGISTRY_ADDRESS
+  IDENTITY_REGISTRY_ADDRESS,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -24,6 +40,8 @@ if (!ethers) {
 
 let identityRegistryAbi = null;
 let identityRegistry = null;
+let contractAddress = IDENTITY_REGISTRY_ADDRESS;
+let sessionGeneration = 0;
 
 function normalizeAbi(abiData) {
   if (Array.isArray(abiData)) {
@@ -57,42 +75,50 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
-}
+  logError(msg, details);
+}
+
+const WRITE_ACTION_METHODS = {
+  'add-participant-btn': 'addParticipant',
+  'change-role-btn': 'changeRole',
+  'renew-kyc-btn': 'renewKYC',
+  'freeze-btn': 'freezeAccount',
+  'unfreeze-btn': 'unfreezeAccount',
+  'remove-participant-btn': 'removeParticipant',
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause',
+  'set-precompile-sync-btn': 'setPrecompileSync',
+  'grant-role-btn': 'grantRole',
+  'revoke-role-btn': 'revokeRole',
+  'renounce-role-btn': 'renounceRole'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
 
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'add-participant-btn',
-    'change-role-btn',
-    'renew-kyc-btn',
-    'freeze-btn',
-    'unfreeze-btn',
-    'remove-participant-btn',
-    'pause-btn',
-    'unpause-btn',
-    'set-precompile-sync-btn',
-    'grant-role-btn',
-    'revoke-role-btn',
-    'renounce-role-btn',
-    'summary-btn',
-    'get-participant-btn',
-    'get-participants-btn',
-    'role-admin-btn',
-    'has-role-btn',
-    'has-participant-role-btn',
-    'participant-role-btn',
-    'roles-btn',
-    'allowed-btn',
-    'whitelisted-btn',
-    'frozen-btn',
-    'kyc-expiry-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureIdentityRegistry(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -134,42 +160,96 @@ async function ensureIdentityRegistry() {
   if (identityRegistry) {
     return identityRegistry;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getIdentityRegistryAbi();
-  identityRegistry = new ethers.Contract(IDENTITY_REGISTRY_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'IdentityRegistry');
+  identityRegistry = new ethers.Contract(address, abi, runner);
   return identityRegistry;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureIdentityRegistry();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   identityRegistry = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${IDENTITY_REGISTRY_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${IDENTITY_REGISTRY_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === IDENTITY_REGISTRY_ADDRESS ? getActiveDeployment('identityRegistry') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'IdentityRegistry', address, network: FALAJ_NETWORK });
+  identityRegistry = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleAddParticipant() {
@@ -177,118 +257,129 @@ async function handleAddParticipant() {
   const account = parseAddress(document.getElementById('add-participant-account').value, 'Participant address');
   const role = parseRole(document.getElementById('add-participant-role').value);
   const expiry = parseUint(document.getElementById('add-participant-expiry').value, 'KYC expiry');
-  const tx = await contract.addParticipant(account, role, expiry);
+  const tx = await sendTransaction(contract, 'addParticipant', [account, role, expiry]);
   show(`Add participant submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Add participant confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Add participant confirmed: ${tx.hash}${events}`);
 }
 
 async function handleChangeRole() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('change-role-account').value, 'Participant address');
   const role = parseRole(document.getElementById('change-role-value').value);
-  const tx = await contract.changeRole(account, role);
+  const tx = await sendTransaction(contract, 'changeRole', [account, role]);
   show(`Change role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Change role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Change role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRenewKyc() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('renew-kyc-account').value, 'Participant address');
   const expiry = parseUint(document.getElementById('renew-kyc-expiry').value, 'New expiry');
-  const tx = await contract.renewKYC(account, expiry);
+  const tx = await sendTransaction(contract, 'renewKYC', [account, expiry]);
   show(`Renew KYC submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Renew KYC confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Renew KYC confirmed: ${tx.hash}${events}`);
 }
 
 async function handleFreeze() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('freeze-account').value, 'Participant address');
   const reason = requireValue(document.getElementById('freeze-reason').value, 'Reason');
-  const tx = await contract.freezeAccount(account, reason);
+  const tx = await sendTransaction(contract, 'freezeAccount', [account, reason]);
   show(`Freeze account submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Freeze account confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Freeze account confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnfreeze() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('unfreeze-account').value, 'Participant address');
-  const tx = await contract.unfreezeAccount(account);
+  const tx = await sendTransaction(contract, 'unfreezeAccount', [account]);
   show(`Unfreeze account submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unfreeze account confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unfreeze account confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRemoveParticipant() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('remove-participant-account').value, 'Participant address');
-  const tx = await contract.removeParticipant(account);
+  const tx = await sendTransaction(contract, 'removeParticipant', [account]);
   show(`Remove participant submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Remove participant confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Remove participant confirmed: ${tx.hash}${events}`);
 }
 
 async function handlePause() {
   const contract = await ensureIdentityRegistry();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Paused: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Paused: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensureIdentityRegistry();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpaused: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpaused: ${tx.hash}${events}`);
 }
 
 async function handleSetPrecompileSync() {
   const contract = await ensureIdentityRegistry();
   const enabledValue = document.getElementById('precompile-sync-enabled').value;
   const enabled = enabledValue === 'true';
-  const tx = await contract.setPrecompileSync(enabled);
+  const tx = await sendTransaction(contract, 'setPrecompileSync', [enabled]);
   show(`Precompile sync update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Precompile sync updated: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Precompile sync updated: ${tx.hash}${events}`);
 }
 
 async function handleGrantRole() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('grant-role-account').value, 'Account');
   const role = parseRole(document.getElementById('grant-role-value').value);
-  const tx = await contract.grantRole(role, account);
+  const tx = await sendTransaction(contract, 'grantRole', [role, account]);
   show(`Grant role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Grant role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Grant role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRevokeRole() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('revoke-role-account').value, 'Account');
   const role = parseRole(document.getElementById('revoke-role-value').value);
-  const tx = await contract.revokeRole(role, account);
+  const tx = await sendTransaction(contract, 'revokeRole', [role, account]);
   show(`Revoke role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Revoke role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Revoke role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRenounceRole() {
   const contract = await ensureIdentityRegistry();
   const account = parseAddress(document.getElementById('renounce-role-account').value, 'Account');
   const role = parseRole(document.getElementById('renounce-role-value').value);
-  const tx = await contract.renounceRole(role, account);
+  const tx = await sendTransaction(contract, 'renounceRole', [role, account]);
   show(`Renounce role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Renounce role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Renounce role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureIdentityRegistry();
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'participantCount'],
+    [contract, 'paused'],
+    [contract, 'precompileSyncEnabled'],
+    [contract, 'DEFAULT_ADMIN_ROLE'],
+    [contract, 'CUSTODIAN_ROLE'],
+    [contract, 'REGULATOR_ROLE'],
+    [contract, 'PARTICIPANT_ROLE'],
+    [contract, 'ISSUER_BOND_ROLE'],
+    [contract, 'ISSUER_STABLECOIN_ROLE']
+  ]);
   const [
     count,
     paused,
@@ -299,18 +390,9 @@ async function handleSummary() {
     participantRole,
     issuerBondRole,
     issuerStablecoinRole
-  ] = await Promise.all([
-    contract.participantCount(),
-    contract.paused(),
-    contract.precompileSyncEnabled(),
-    contract.DEFAULT_ADMIN_ROLE(),
-    contract.CUSTODIAN_ROLE(),
-    contract.REGULATOR_ROLE(),
-    contract.PARTICIPANT_ROLE(),
-    contract.ISSUER_BOND_ROLE(),
-    contract.ISSUER_STABLECOIN_ROLE()
-  ]);
+  ] = values;
   const lines = [
+    `Block: ${blockNumber}`,
     `Participant count: ${count}`,
     `Paused: ${paused}`,
     `Precompile sync enabled: ${precompileSyncEnabled}`,
@@ -421,18 +503,38 @@ async function handleKycExpiry() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(err.message || String(err));
+      showError(err.message || String(err), { action: WRITE_ACTION_METHODS[id] ?? id, errorCode: getErrorCode(err) });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'IdentityRegistry' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'identityRegistry',
+    contractName: 'IdentityRegistry',
+    defaultAddress: IDENTITY_REGISTRY_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'IdentityRegistry', address: contractAddress, network: FALAJ_NETWORK });
 
   document.getElementById('connect-btn').addEventListener('click', async () => {
     try {
@@ -470,12 +572,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
@@ -1,4 +1,33 @@
+import { addActivity, getActivitySessionId, pruneActivity } from './activityStore.js';
+import { EXPLORER_BASE, FALAJ_NETWORK, findContractName, getExplorerBase } from './config.js';
+
 const MAX_LOG_ENTRIES = 200;
+const CSV_COLUMNS = [
+  'timestamp',
+  'sessionId',
+  'level',
+  'page',
+  'contract',
+  'action',
+  'args',
+  'chainId',
+  'txHash',
+  'block',
+  'status',
+  'errorCode',
+  'message'
+];
+const TX_HASH_PATTERN = /0x[0-9a-fA-F]{64}/g;
+const LINK_PATTERN = /\b0x(?:[0-9a-fA-F]{64}|[0-9a-fA-F]{40})\b/g;
+const FILTERS = ['contract', 'level', 'action'];
+
+const LOG_TYPES = ['event', 'error', 'chain'];
+
+const records = { event: [], error: [], chain: [] };
+const entryRecords = new WeakMap();
+const transactions = new Map();
+let context = { contract: null, explorerBase: EXPLORER_BASE, chainId: FALAJ_NETWORK.chainId };
+let filterBar = null;
 let initialized = false;
 
 function formatTimestamp(date = new Date()) {
@@ -30,22 +59,213 @@ function ensureEmptyState(container) {
 }
 
 function clearLog(type) {
+  records[type] = [];
   const container = getLogContainer(type);
   if (!container) {
     return;
   }
   container.innerHTML = '';
   ensureEmptyState(container);
+  renderFilterOptions();
+}
+
+function createFilterSelect(filter, allLabel) {
+  const select = document.createElement('select');
+  select.dataset.logFilter = filter;
+  const option = document.createElement('option');
+  option.value = '';
+  option.textContent = allLabel;
+  select.appendChild(option);
+  select.addEventListener('change', applyFilters);
+  return select;
 }
 
-function appendLog(type, message) {
+function buildFilterBar() {
+  const panel = document.querySelector('.log-panel');
+  if (!panel) {
+    return null;
+  }
+  const bar = document.createElement('div');
+  bar.className = 'log-filters';
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.placeholder = 'Search logs';
+  search.dataset.logFilter = 'search';
+  search.addEventListener('input', applyFilters);
+  bar.appendChild(search);
+  bar.appendChild(createFilterSelect('contract', 'All contracts'));
+  const level = createFilterSelect('level', 'All levels');
+  [
+    ['event', 'Events'],
+    ['error', 'Errors'],
+    ['chain', 'Chain events']
+  ].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    level.appendChild(option);
+  });
+  bar.appendChild(level);
+  bar.appendChild(createFilterSelect('action', 'All actions'));
+  const heading = panel.querySelector('h4');
+  if (heading) {
+    heading.after(bar);
+  } else {
+    panel.prepend(bar);
+  }
+  return bar;
+}
+
+function getFilterValue(filter) {
+  return filterBar?.querySelector(`[data-log-filter="${filter}"]`)?.value ?? '';
+}
+
+function renderFilterOptions() {
+  if (!filterBar) {
+    return;
+  }
+  const all = LOG_TYPES.flatMap((type) => records[type]);
+  ['contract', 'action'].forEach((filter) => {
+    const select = filterBar.querySelector(`[data-log-filter="${filter}"]`);
+    const selected = select.value;
+    const values = [...new Set(all.map((record) => record[filter]).filter(Boolean))].sort();
+    [...select.options].slice(1).forEach((option) => option.remove());
+    values.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      select.appendChild(option);
+    });
+    select.value = values.includes(selected) ? selected : '';
+  });
+}
+
+function matchesFilters(record) {
+  const search = getFilterValue('search').trim().toLowerCase();
+  const contract = getFilterValue('contract');
+  const action = getFilterValue('action');
+  if (contract && record.contract !== contract) {
+    return false;
+  }
+  if (action && record.action !== action) {
+    return false;
+  }
+  if (!search) {
+    return true;
+  }
+  return [record.message, record.contract, record.action, record.txHash, record.errorCode, record.status].some(
+    (value) => value && String(value).toLowerCase().includes(search)
+  );
+}
+
+function applyFilters() {
+  const level = getFilterValue('level');
+  LOG_TYPES.forEach((type) => {
+    const container = getLogContainer(type);
+    if (!container) {
+      return;
+    }
+    const section = container.closest('.log-section');
+    if (section) {
+      section.hidden = Boolean(level) && level !== type;
+    }
+    container.querySelectorAll('.log-entry').forEach((entry) => {
+      const record = entryRecords.get(entry);
+      entry.hidden = Boolean(record) && !matchesFilters(record);
+    });
+  });
+}
+
+function createExplorerLink(explorerBase, path, text) {
+  if (!explorerBase) {
+    const code = document.createElement('code');
+    code.textContent = text;
+    return code;
+  }
+  const link = document.createElement('a');
+  link.href = `${explorerBase}/${path}`;
+  link.target = '_blank';
+  link.rel = 'noopener';
+  link.textContent = text;
+  return link;
+}
+
+function renderMessage(entry, message, record) {
+  const explorerBase = (record.chainId && getExplorerBase(record.chainId)) || context.explorerBase;
+  let last = 0;
+  for (const match of message.matchAll(LINK_PATTERN)) {
+    const value = match[0];
+    const isHash = value.length === 66;
+    if (isHash && value !== record.txHash && !transactions.has(value.toLowerCase())) {
+      continue;
+    }
+    entry.append(message.slice(last, match.index));
+    entry.appendChild(createExplorerLink(explorerBase, `${isHash ? 'tx' : 'address'}/${value}`, value));
+    const name = isHash ? null : findContractName(value, record.chainId ?? context.chainId);
+    if (name) {
+      const label = document.createElement('span');
+      label.className = 'log-label';
+      label.textContent = ` (${name})`;
+      entry.appendChild(label);
+    }
+    last = match.index + value.length;
+  }
+  entry.append(message.slice(last));
+}
+
+function serializeArg(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, serializeArg);
+  }
+  return value;
+}
+
+function findTransaction(message) {
+  const hashes = String(message).match(TX_HASH_PATTERN) ?? [];
+  const hash = hashes.find((candidate) => transactions.has(candidate.toLowerCase()));
+  return hash ? { txHash: hash, ...transactions.get(hash.toLowerCase()) } : {};
+}
+
+function createRecord(type, date, message, details) {
+  const fields = { contract: context.contract, ...findTransaction(message), ...details };
+  return {
+    timestamp: date.toISOString(),
+    sessionId: getActivitySessionId(),
+    level: type,
+    page: window.location.pathname.split('/').pop() || 'index.html',
+    contract: fields.contract ?? null,
+    action: fields.action ?? null,
+    args: fields.args === undefined ? null : serializeArg(fields.args),
+    chainId: fields.chainId ?? null,
+    txHash: fields.txHash ?? null,
+    block: fields.block ?? null,
+    status: fields.status ?? null,
+    errorCode: fields.errorCode ?? null,
+    message: String(message)
+  };
+}
+
+function appendLog(type, message, details) {
+  const date = new Date();
+  const record = createRecord(type, date, message, details);
+  records[type].push(record);
+  if (records[type].length > MAX_LOG_ENTRIES) {
+    records[type].shift();
+  }
+  addActivity(record).catch(() => {});
   const container = getLogContainer(type);
   if (!container) {
     return;
   }
   const entry = document.createElement('div');
   entry.className = 'log-entry';
-  entry.textContent = `[${formatTimestamp()}] ${message}`;
+  entry.textContent = `[${formatTimestamp(date)}] `;
+  renderMessage(entry, record.message, record);
+  entryRecords.set(entry, record);
+  entry.hidden = !matchesFilters(record);
 
   const empty = container.querySelector('.log-empty');
   if (empty) {
@@ -59,6 +279,7 @@ function appendLog(type, message) {
     entries[0].remove();
   }
 
+  renderFilterOptions();
   container.scrollTop = container.scrollHeight;
 }
 
@@ -81,6 +302,37 @@ async function copyLog(type) {
   }
 }
 
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = rows.map((record) => CSV_COLUMNS.map((column) => toCsvCell(record[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n');
+}
+
+function downloadLog(type, format) {
+  const rows = records[type];
+  if (!rows.length) {
+    return;
+  }
+  const content = format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2);
+  const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  const page = (window.location.pathname.split('/').pop() || 'index.html').replace(/\.html$/, '');
+  link.href = url;
+  link.download = `falaj-${page}-${type}-log-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 function handleActionClick(event) {
   const button = event.target.closest('[data-log-action]');
   if (!button) {
@@ -97,43 +349,60 @@ function handleActionClick(event) {
   if (action === 'clear') {
     clearLog(target);
   }
+  if (action === 'json' || action === 'csv') {
+    downloadLog(target, action);
+  }
 }
 
 function handleWindowError(event) {
   if (event?.message) {
-    logError(event.message);
+    logError(event.message, { errorCode: event.error?.code ?? null });
   }
 }
 
 function handleUnhandledRejection(event) {
   if (event?.reason) {
     const reason = event.reason?.message || event.reason;
-    logError(`Unhandled rejection: ${reason}`);
+    logError(`Unhandled rejection: ${reason}`, { errorCode: event.reason?.code ?? null });
   }
 }
 
-export function initLogs() {
+export function initLogs({ contract = null, explorerBase = EXPLORER_BASE, chainId = FALAJ_NETWORK.chainId } = {}) {
+  context = { contract, explorerBase, chainId };
   if (initialized) {
     return;
   }
   initialized = true;
+  filterBar = buildFilterBar();
   document.addEventListener('click', handleActionClick);
-  ensureEmptyState(getLogContainer('event'));
-  ensureEmptyState(getLogContainer('error'));
+  LOG_TYPES.forEach((type) => ensureEmptyState(getLogContainer(type)));
   window.addEventListener('error', handleWindowError);
   window.addEventListener('unhandledrejection', handleUnhandledRejection);
+  pruneActivity().catch(() => {});
+}
+
+export function annotateTransaction(hash, details) {
+  const key = hash.toLowerCase();
+  transactions.set(key, { ...transactions.get(key), ...details });
+}
+
+export function logEvent(message, details = {}) {
+  if (!message) {
+    return;
+  }
+  appendLog('event', message, details);
 }
 
-export function logEvent(message) {
+export function logError(message, details = {}) {
   if (!message) {
     return;
   }
-  appendLog('event', message);
+  appendLog('error', message, details);
 }
 
-export function logError(message) {
+export function logChainEvent(message, details = {}) {
   if (!message) {
     return;
   }
-  appendLog('error', message);
+  appendLog('chain', message, details);
 }
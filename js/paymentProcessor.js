@@ -1,22 +1,39 @@
 import {
-  AVALANCHE_TESTNET_C_NETWORK,
+  ACTIVE_PROFILE,
   AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE,
+  AVALANCHE_TESTNET_C_NETWORK,
+  getActiveDeployment,
   PAYMENT_PROCESSOR_ABI_URL,
-  PAYMENT_PROCESSOR_ADDRESS
+  PAYMENT_PROCESSOR_ADDRESS,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getProvider,
+  getReadProvider,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { addUnsignedTransaction, isCapturingUnsigned, sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -26,6 +43,8 @@ if (!ethers) {
 
 let paymentProcessorAbi = null;
 let paymentProcessor = null;
+let contractAddress = PAYMENT_PROCESSOR_ADDRESS;
+let sessionGeneration = 0;
 const RATE_DECIMALS = 18n;
 const AED_STABLECOIN_DECIMALS = 2n;
 const AED_DISPLAY_DECIMALS = Number(AED_STABLECOIN_DECIMALS);
@@ -106,43 +125,54 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
-}
+  logError(msg, details);
+}
+
+const WRITE_ACTION_METHODS = {
+  'deposit-avax-btn': 'depositAVAX',
+  'deposit-stablecoin-btn': 'depositStablecoin',
+  'emergency-withdraw-btn': 'emergencyWithdrawToken',
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause',
+  'set-default-chain-btn': 'setDefaultDestinationChain',
+  'set-destination-chain-btn': 'setDestinationChain',
+  'set-exchange-rate-btn': 'setExchangeRate',
+  'set-protocol-fee-btn': 'setProtocolFee',
+  'set-teleporter-messenger-btn': 'setTeleporterMessenger',
+  'set-teleporter-gas-btn': 'setTeleporterGasConfig',
+  'set-teleporter-relayers-btn': 'setTeleporterAllowedRelayers',
+  'withdraw-fees-btn': 'withdrawFees',
+  'grant-role-btn': 'grantRole',
+  'revoke-role-btn': 'revokeRole',
+  'renounce-role-btn': 'renounceRole'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
 
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'deposit-avax-btn',
-    'deposit-stablecoin-btn',
-    'emergency-withdraw-btn',
-    'pause-btn',
-    'unpause-btn',
-    'set-default-chain-btn',
-    'set-destination-chain-btn',
-    'set-exchange-rate-btn',
-    'set-protocol-fee-btn',
-    'set-teleporter-messenger-btn',
-    'set-teleporter-gas-btn',
-    'set-teleporter-relayers-btn',
-    'withdraw-fees-btn',
-    'grant-role-btn',
-    'revoke-role-btn',
-    'renounce-role-btn',
-    'summary-btn',
-    'roles-btn',
-    'exchange-rate-btn',
-    'destination-manager-btn',
-    'teleporter-gas-btn',
-    'teleporter-relayers-btn',
-    'token-supported-btn',
-    'token-decimals-btn',
-    'calculate-aed-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensurePaymentProcessor(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      AVALANCHE_TESTNET_C_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -234,12 +264,10 @@ async function ensurePaymentProcessor() {
   if (paymentProcessor) {
     return paymentProcessor;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getPaymentProcessorAbi();
-  paymentProcessor = new ethers.Contract(PAYMENT_PROCESSOR_ADDRESS, abi, signer);
+  const runner = getContractRunner(AVALANCHE_TESTNET_C_NETWORK);
+  const address = requireAddress(contractAddress, 'PaymentProcessor');
+  paymentProcessor = new ethers.Contract(address, abi, runner);
   return paymentProcessor;
 }
 
@@ -284,8 +312,7 @@ async function getTokenDecimals(tokenAddress) {
   if (hardcoded) {
     return { decimals: hardcoded.decimals, source: `hardcoded (${hardcoded.symbol})` };
   }
-  const signer = getSigner();
-  const provider = signer?.provider ?? signer;
+  const provider = getReadProvider(AVALANCHE_TESTNET_C_NETWORK);
   const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
   try {
     const decimals = await token.decimals();
@@ -297,6 +324,11 @@ async function getTokenDecimals(tokenAddress) {
 }
 
 async function ensureTokenAllowance(tokenAddress, spender, requiredAmount, tokenDecimals) {
+  if (isCapturingUnsigned()) {
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, getContractRunner(AVALANCHE_TESTNET_C_NETWORK));
+    await addUnsignedTransaction(token, 'approve', [spender, requiredAmount]);
+    return;
+  }
   const signer = getSigner();
   if (!signer) {
     throw new Error('Wallet not connected.');
@@ -316,39 +348,95 @@ async function ensureTokenAllowance(tokenAddress, spender, requiredAmount, token
       tokenDecimals
     )} tokens for ${spender} (current allowance ${ethers.formatUnits(currentAllowance, tokenDecimals)}).`
   );
-  const approvalTx = await token.approve(spender, requiredAmount);
+  const approvalTx = await sendTransaction(token, 'approve', [spender, requiredAmount]);
   show(`Approve submitted: ${approvalTx.hash}`);
-  await approvalTx.wait();
-  show(`Approve confirmed: ${approvalTx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(approvalTx));
+  show(`Approve confirmed: ${approvalTx.hash}${events}`);
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(AVALANCHE_TESTNET_C_NETWORK);
   } catch (err) {
     await switchNetwork(AVALANCHE_TESTNET_C_NETWORK);
   }
   await ensurePaymentProcessor();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   paymentProcessor = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(AVALANCHE_TESTNET_C_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE}/address/${PAYMENT_PROCESSOR_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${PAYMENT_PROCESSOR_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === PAYMENT_PROCESSOR_ADDRESS ? getActiveDeployment('paymentProcessor') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'PaymentProcessor', address, network: AVALANCHE_TESTNET_C_NETWORK });
+  paymentProcessor = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleDepositAVAX() {
@@ -367,10 +455,10 @@ async function handleDepositAVAX() {
       );
     }
   }
-  const tx = await contract.depositAVAX(recipient, paymentRef, { value: amount });
+  const tx = await sendTransaction(contract, 'depositAVAX', [recipient, paymentRef], { value: amount });
   show(`AVAX deposit submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`AVAX deposit confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`AVAX deposit confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDepositStablecoin() {
@@ -398,10 +486,10 @@ async function handleDepositStablecoin() {
     throw new Error('AED amount rounds to 0. Increase the token amount or update the exchange rate.');
   }
   await ensureTokenAllowance(token, contract.target, amount, tokenDecimals);
-  const tx = await contract.depositStablecoin(token, amount, recipient, paymentRef);
+  const tx = await sendTransaction(contract, 'depositStablecoin', [token, amount, recipient, paymentRef]);
   show(`Stablecoin deposit submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Stablecoin deposit confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Stablecoin deposit confirmed: ${tx.hash}${events}`);
 }
 
 async function handleEmergencyWithdraw() {
@@ -415,82 +503,82 @@ async function handleEmergencyWithdraw() {
     tokenDecimals
   );
   logEvent(`Token decimals: ${tokenDecimals} (${source})`);
-  const tx = await contract.emergencyWithdrawToken(token, to, amount);
+  const tx = await sendTransaction(contract, 'emergencyWithdrawToken', [token, to, amount]);
   show(`Emergency withdraw submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Emergency withdraw confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Emergency withdraw confirmed: ${tx.hash}${events}`);
 }
 
 async function handlePause() {
   const contract = await ensurePaymentProcessor();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Pause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Pause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensurePaymentProcessor();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetDefaultDestinationChain() {
   const contract = await ensurePaymentProcessor();
   const chainId = parseBytes32(document.getElementById('default-chain-id').value, 'Chain ID');
-  const tx = await contract.setDefaultDestinationChain(chainId);
+  const tx = await sendTransaction(contract, 'setDefaultDestinationChain', [chainId]);
   show(`Default destination chain submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Default destination chain confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Default destination chain confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetDestinationChain() {
   const contract = await ensurePaymentProcessor();
   const chainId = parseBytes32(document.getElementById('destination-chain-id').value, 'Chain ID');
   const manager = parseAddress(document.getElementById('destination-chain-manager').value, 'Bridge manager');
-  const tx = await contract.setDestinationChain(chainId, manager);
+  const tx = await sendTransaction(contract, 'setDestinationChain', [chainId, manager]);
   show(`Destination chain submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Destination chain confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Destination chain confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetExchangeRate() {
   const contract = await ensurePaymentProcessor();
   const token = parseTokenAddress(document.getElementById('exchange-rate-token').value, 'Token');
   const rate = parseUint(document.getElementById('exchange-rate-value').value, 'Rate to AED', false);
-  const tx = await contract.setExchangeRate(token, rate);
+  const tx = await sendTransaction(contract, 'setExchangeRate', [token, rate]);
   show(`Exchange rate submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Exchange rate confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Exchange rate confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetProtocolFee() {
   const contract = await ensurePaymentProcessor();
   const fee = parseUint(document.getElementById('protocol-fee-value').value, 'Protocol fee', true);
-  const tx = await contract.setProtocolFee(fee);
+  const tx = await sendTransaction(contract, 'setProtocolFee', [fee]);
   show(`Protocol fee submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Protocol fee confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Protocol fee confirmed: ${tx.hash}${events}`);
 }
 
 async function handleWithdrawFees() {
   const contract = await ensurePaymentProcessor();
   const to = parseAddress(document.getElementById('withdraw-fees-to').value, 'Recipient');
-  const tx = await contract.withdrawFees(to);
+  const tx = await sendTransaction(contract, 'withdrawFees', [to]);
   show(`Withdraw fees submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Withdraw fees confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Withdraw fees confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetTeleporterMessenger() {
   const contract = await ensurePaymentProcessor();
   const messenger = parseAddress(document.getElementById('teleporter-messenger').value, 'Teleporter messenger');
-  const tx = await contract.setTeleporterMessenger(messenger);
+  const tx = await sendTransaction(contract, 'setTeleporterMessenger', [messenger]);
   show(`Teleporter messenger update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Teleporter messenger update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Teleporter messenger update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetTeleporterGasConfig() {
@@ -498,10 +586,10 @@ async function handleSetTeleporterGasConfig() {
   const chainId = parseBytes32(document.getElementById('teleporter-gas-chain-id').value, 'Chain ID');
   const gasLimit = parseUint(document.getElementById('teleporter-gas-limit').value, 'Required gas limit', false);
   const relayerFee = parseUint(document.getElementById('teleporter-relayer-fee').value, 'Relayer fee', true);
-  const tx = await contract.setTeleporterGasConfig(chainId, gasLimit, relayerFee);
+  const tx = await sendTransaction(contract, 'setTeleporterGasConfig', [chainId, gasLimit, relayerFee]);
   show(`Teleporter gas config submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Teleporter gas config confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Teleporter gas config confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetTeleporterAllowedRelayers() {
@@ -514,44 +602,53 @@ async function handleSetTeleporterAllowedRelayers() {
     document.getElementById('teleporter-relayer-addresses').value,
     'Relayer addresses'
   );
-  const tx = await contract.setTeleporterAllowedRelayers(chainId, relayers);
+  const tx = await sendTransaction(contract, 'setTeleporterAllowedRelayers', [chainId, relayers]);
   show(`Teleporter relayers update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Teleporter relayers update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Teleporter relayers update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleGrantRole() {
   const contract = await ensurePaymentProcessor();
   const role = parseRole(document.getElementById('grant-role-value').value);
   const account = parseAddress(document.getElementById('grant-role-account').value, 'Account');
-  const tx = await contract.grantRole(role, account);
+  const tx = await sendTransaction(contract, 'grantRole', [role, account]);
   show(`Grant role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Grant role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Grant role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRevokeRole() {
   const contract = await ensurePaymentProcessor();
   const role = parseRole(document.getElementById('revoke-role-value').value);
   const account = parseAddress(document.getElementById('revoke-role-account').value, 'Account');
-  const tx = await contract.revokeRole(role, account);
+  const tx = await sendTransaction(contract, 'revokeRole', [role, account]);
   show(`Revoke role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Revoke role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Revoke role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRenounceRole() {
   const contract = await ensurePaymentProcessor();
   const role = parseRole(document.getElementById('renounce-role-value').value);
   const account = parseAddress(document.getElementById('renounce-role-account').value, 'Account');
-  const tx = await contract.renounceRole(role, account);
+  const tx = await sendTransaction(contract, 'renounceRole', [role, account]);
   show(`Renounce role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Renounce role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Renounce role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensurePaymentProcessor();
+  const { blockNumber, values } = await readAll(AVALANCHE_TESTNET_C_NETWORK, [
+    [contract, 'accumulatedFees'],
+    [contract, 'protocolFeeBps'],
+    [contract, 'totalAedValueProcessed'],
+    [contract, 'totalPaymentsProcessed'],
+    [contract, 'defaultDestinationChain'],
+    [contract, 'paused'],
+    [contract, 'teleporterMessenger']
+  ]);
   const [
     accumulatedFees,
     protocolFeeBps,
@@ -560,16 +657,9 @@ async function handleSummary() {
     defaultDestinationChain,
     paused,
     teleporterMessenger
-  ] = await Promise.all([
-    contract.accumulatedFees(),
-    contract.protocolFeeBps(),
-    contract.totalAedValueProcessed(),
-    contract.totalPaymentsProcessed(),
-    contract.defaultDestinationChain(),
-    contract.paused(),
-    contract.teleporterMessenger()
-  ]);
+  ] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Accumulated fees: ${ethers.formatEther(accumulatedFees)} AVAX`,
     `Protocol fee (bps): ${protocolFeeBps}`,
     `Total AED value processed: ${ethers.formatUnits(totalAedValueProcessed, AED_DISPLAY_DECIMALS)} AED`,
@@ -660,14 +750,27 @@ async function handleTokenDecimals() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function renderTokenReference() {
@@ -701,11 +804,25 @@ function renderTokenReference() {
 }
 
 function boot() {
-  initLogs();
+  initLogs({
+    contract: 'PaymentProcessor',
+    explorerBase: AVALANCHE_FUJI_C_CHAIN_EXPLORER_BASE,
+    chainId: AVALANCHE_TESTNET_C_NETWORK.chainId
+  });
+  initTxTracker();
+  initSessionHeader(AVALANCHE_TESTNET_C_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'paymentProcessor',
+    contractName: 'PaymentProcessor',
+    defaultAddress: PAYMENT_PROCESSOR_ADDRESS,
+    network: AVALANCHE_TESTNET_C_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'PaymentProcessor', address: contractAddress, network: AVALANCHE_TESTNET_C_NETWORK });
   renderTokenReference();
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -737,12 +854,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
@@ -0,0 +1,296 @@
+import { findContractKey, findContractName } from './config.js';
+import { findOverrideContractKey } from './addressOverride.js';
+import { describeError } from './errors.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before permissions.js.');
+}
+
+// Mirrors the access modifiers in contract/solidity/. `registry` roles are checked on the IdentityRegistry the
+// contract points at, `self` roles on the contract's own AccessControl.
+const registryRole = (role) => ({ type: 'registry', role });
+const selfRole = (role) => ({ type: 'self', role });
+const ROLE_ADMIN = { type: 'roleAdmin' };
+const RENOUNCE = { type: 'renounce' };
+const REGULATOR = registryRole('REGULATOR_ROLE');
+
+const ACCESS_CONTROL = { grantRole: ROLE_ADMIN, revokeRole: ROLE_ADMIN, renounceRole: RENOUNCE };
+
+const BOND_PERMISSIONS = {
+  ...ACCESS_CONTROL,
+  activate: registryRole('ISSUER_BOND_ROLE'),
+  markRedeemed: registryRole('ISSUER_BOND_ROLE'),
+  markMatured: REGULATOR,
+  freeze: REGULATOR,
+  unfreeze: REGULATOR,
+  pause: REGULATOR,
+  unpause: REGULATOR
+};
+
+export const FUNCTION_PERMISSIONS = {
+  aedStablecoin: {
+    ...ACCESS_CONTROL,
+    mint: registryRole('ISSUER_STABLECOIN_ROLE'),
+    burnFrom: registryRole('ISSUER_STABLECOIN_ROLE'),
+    pause: REGULATOR,
+    unpause: REGULATOR,
+    freezeAccount: REGULATOR,
+    unfreezeAccount: REGULATOR,
+    emergencyTransfer: REGULATOR
+  },
+  bondToken: BOND_PERMISSIONS,
+  usdtBond: BOND_PERMISSIONS,
+  dvpSettlement: {
+    createSettlement: { type: 'whitelisted' },
+    setSettlementTimeout: REGULATOR,
+    pause: REGULATOR,
+    unpause: REGULATOR
+  },
+  feeDistribution: {
+    ...ACCESS_CONTROL,
+    distribute: REGULATOR,
+    setServiceProviderFee: REGULATOR,
+    setServiceProvider: REGULATOR,
+    setValidatorStakingManager: REGULATOR,
+    withdrawServiceProviderFees: { type: 'account', getter: 'serviceProvider', label: 'the service provider' },
+    withdrawServiceProviderFeesTo: { type: 'account', getter: 'serviceProvider', label: 'the service provider' }
+  },
+  identityRegistry: {
+    ...ACCESS_CONTROL,
+    setPrecompileSync: selfRole('REGULATOR_ROLE'),
+    addParticipant: selfRole('REGULATOR_ROLE'),
+    removeParticipant: selfRole('REGULATOR_ROLE'),
+    freezeAccount: selfRole('REGULATOR_ROLE'),
+    unfreezeAccount: selfRole('REGULATOR_ROLE'),
+    changeRole: selfRole('REGULATOR_ROLE'),
+    renewKYC: selfRole('REGULATOR_ROLE'),
+    pause: selfRole('REGULATOR_ROLE'),
+    unpause: selfRole('REGULATOR_ROLE')
+  },
+  paymentProcessor: {
+    ...ACCESS_CONTROL,
+    setExchangeRate: selfRole('ADMIN_ROLE'),
+    setDestinationChain: selfRole('ADMIN_ROLE'),
+    setDefaultDestinationChain: selfRole('ADMIN_ROLE'),
+    setProtocolFee: selfRole('ADMIN_ROLE'),
+    setTeleporterMessenger: selfRole('ADMIN_ROLE'),
+    setTeleporterGasConfig: selfRole('ADMIN_ROLE'),
+    setTeleporterAllowedRelayers: selfRole('ADMIN_ROLE'),
+    withdrawFees: selfRole('ADMIN_ROLE'),
+    emergencyWithdrawToken: selfRole('ADMIN_ROLE'),
+    pause: selfRole('ADMIN_ROLE'),
+    unpause: selfRole('ADMIN_ROLE')
+  },
+  regulatedBridgeManager: {
+    setAuthorizedSourceChain: REGULATOR,
+    setPaymentProcessor: REGULATOR,
+    setBridgeReserve: REGULATOR,
+    setAEDStablecoin: REGULATOR,
+    setTeleporterMessenger: REGULATOR,
+    setMintingMode: REGULATOR,
+    pause: REGULATOR,
+    unpause: REGULATOR,
+    rescueTokens: REGULATOR
+  },
+  validatorStakingManager: {
+    ...ACCESS_CONTROL,
+    registerValidator: REGULATOR,
+    deregisterValidator: REGULATOR,
+    slash: REGULATOR,
+    setFeeDistribution: REGULATOR,
+    setSlashReceiver: REGULATOR,
+    setStakeToIssuanceRatio: REGULATOR,
+    setGracePeriod: REGULATOR,
+    distributeRewards: selfRole('DISTRIBUTOR_ROLE'),
+    stake: { type: 'predicate', getter: 'isValidator', label: 'a registered validator' },
+    unstake: { type: 'predicate', getter: 'isValidator', label: 'a registered validator' },
+    claimRewards: { type: 'predicate', getter: 'isValidator', label: 'a registered validator' }
+  }
+};
+
+const HAS_ROLE_ABI = 'function hasRole(bytes32 role, address account) view returns (bool)';
+const IS_WHITELISTED_ABI = 'function isWhitelisted(address account) view returns (bool)';
+const ARGUMENT_CHECKS = new Set(['roleAdmin', 'renounce']);
+const GATING_NOTE_ID = 'role-gating';
+
+export function getFunctionPermission(contract, method, chainId) {
+  const key = findContractKey(contract.target, chainId) ?? findOverrideContractKey(contract.target);
+  return key ? FUNCTION_PERMISSIONS[key]?.[method] ?? null : null;
+}
+
+async function checkRole(target, role, account, runner) {
+  const roleContract = new ethers.Contract(target, [HAS_ROLE_ABI, `function ${role}() view returns (bytes32)`], runner);
+  const hash = await roleContract[role]();
+  return (await roleContract.hasRole(hash, account)) ? null : { role, hash, on: target };
+}
+
+async function findRoleName(contract, hash) {
+  if (hash === ethers.ZeroHash) {
+    return 'DEFAULT_ADMIN_ROLE';
+  }
+  const roleGetters = contract.interface.fragments.filter(
+    (fragment) => fragment.type === 'function' && fragment.name.endsWith('_ROLE') && fragment.inputs.length === 0
+  );
+  for (const fragment of roleGetters) {
+    if ((await contract.getFunction(fragment.name)()) === hash) {
+      return fragment.name;
+    }
+  }
+  return 'role admin';
+}
+
+async function evaluatePermission(contract, permission, args, account) {
+  const runner = contract.runner;
+  switch (permission.type) {
+    case 'registry': {
+      const registry = await contract.getFunction('identityRegistry')();
+      return checkRole(registry, permission.role, account, runner);
+    }
+    case 'self':
+      return checkRole(contract.target, permission.role, account, runner);
+    case 'whitelisted': {
+      const registry = new ethers.Contract(await contract.getFunction('identityRegistry')(), [IS_WHITELISTED_ABI], runner);
+      return (await registry.isWhitelisted(account))
+        ? null
+        : { label: 'whitelisted participant', message: 'Only whitelisted IdentityRegistry participants can call this.' };
+    }
+    case 'roleAdmin': {
+      const hash = await contract.getRoleAdmin(args[0]);
+      if (await contract.hasRole(hash, account)) {
+        return null;
+      }
+      return { role: await findRoleName(contract, hash), hash, on: contract.target };
+    }
+    case 'renounce':
+      return String(args[1]).toLowerCase() === account.toLowerCase()
+        ? null
+        : { label: 'the account itself', message: 'renounceRole can only be called for the connected account itself.' };
+    case 'account': {
+      const expected = await contract.getFunction(permission.getter)();
+      return expected.toLowerCase() === account.toLowerCase()
+        ? null
+        : { label: permission.label, message: `Only ${permission.label} (${expected}) can call this.` };
+    }
+    case 'predicate':
+      return (await contract.getFunction(permission.getter)(account))
+        ? null
+        : { label: permission.label, message: `Only ${permission.label} can call this.` };
+    default:
+      return null;
+  }
+}
+
+function describeTarget(address, chainId) {
+  const name = findContractName(address, chainId);
+  return name ? `${name} ${address}` : address;
+}
+
+export async function checkPermission(contract, method, args, account, chainId) {
+  const permission = getFunctionPermission(contract, method, chainId);
+  if (!permission) {
+    return null;
+  }
+  try {
+    const missing = await evaluatePermission(contract, permission, args, account);
+    if (!missing) {
+      return null;
+    }
+    return missing.message
+      ? `${account}: ${missing.message}`
+      : `${account} lacks ${missing.role} (${missing.hash}) on ${describeTarget(missing.on, chainId)}, required by ${method}().`;
+  } catch (err) {
+    return `Could not check the permission for ${method}: ${describeError(err)}`;
+  }
+}
+
+export async function findBlockedActions(contract, actionMethods, account, chainId) {
+  const checks = new Map();
+  const blocked = {};
+  await Promise.all(
+    Object.entries(actionMethods).map(async ([buttonId, method]) => {
+      const permission = getFunctionPermission(contract, method, chainId);
+      if (!permission || ARGUMENT_CHECKS.has(permission.type)) {
+        return;
+      }
+      const key = `${permission.type}:${permission.role ?? permission.getter ?? ''}`;
+      if (!checks.has(key)) {
+        checks.set(
+          key,
+          evaluatePermission(contract, permission, [], account).catch((err) => ({
+            unchecked: true,
+            label: permission.role ?? permission.label,
+            message: `Could not check the permission: ${describeError(err)}`
+          }))
+        );
+      }
+      const missing = await checks.get(key);
+      if (missing) {
+        blocked[buttonId] = { ...missing, chainId };
+      }
+    })
+  );
+  return blocked;
+}
+
+function getGatingNote() {
+  let note = document.getElementById(GATING_NOTE_ID);
+  if (note) {
+    return note;
+  }
+  const anchor = document.querySelector('.address-override') ?? document.getElementById('contract-address');
+  if (!anchor) {
+    return null;
+  }
+  note = document.createElement('p');
+  note.id = GATING_NOTE_ID;
+  note.className = 'role-gating';
+  anchor.after(note);
+  return note;
+}
+
+export function applyRoleGating(actionMethods, blocked = {}) {
+  Object.keys(actionMethods).forEach((buttonId) => {
+    const button = document.getElementById(buttonId);
+    if (!button) {
+      return;
+    }
+    const missing = blocked[buttonId];
+    button.classList.toggle('not-permitted', Boolean(missing && !missing.unchecked));
+    button.classList.toggle('permission-unknown', Boolean(missing?.unchecked));
+    if (missing?.unchecked) {
+      button.title = missing.message;
+    } else if (missing) {
+      button.disabled = true;
+      button.title =
+        missing.message ?? `Requires ${missing.role} (${missing.hash}) on ${describeTarget(missing.on, missing.chainId)}`;
+    } else {
+      button.removeAttribute('title');
+    }
+  });
+  const note = getGatingNote();
+  if (!note) {
+    return;
+  }
+  const entries = Object.values(blocked);
+  const disabled = entries.filter((missing) => !missing.unchecked);
+  const unchecked = entries.filter((missing) => missing.unchecked);
+  const missingNames = [...new Set(disabled.map((missing) => missing.role ?? missing.label))];
+  const uncheckedNames = [...new Set(unchecked.map((missing) => missing.label))];
+  const parts = [];
+  if (missingNames.length) {
+    parts.push(
+      `${disabled.length} action(s) disabled for the connected account. Requires: ${missingNames.join(', ')}. ` +
+        'Hover a disabled button for details.'
+    );
+  }
+  if (uncheckedNames.length) {
+    parts.push(
+      `${unchecked.length} action(s) could not be checked (${uncheckedNames.join(', ')}); they stay enabled. ` +
+        'Hover a marked button for the error.'
+    );
+  }
+  note.hidden = parts.length === 0;
+  note.textContent = parts.join(' ');
+}
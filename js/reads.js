@@ -0,0 +1,57 @@
+import { getMulticall3Address } from './config.js';
+import { getReadProvider } from './rpc.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before reads.js.');
+}
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+function unwrapResult(result) {
+  return result.length === 1 ? result[0] : result;
+}
+
+function aggregate(provider, multicallAddress, calls, blockTag) {
+  const multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+  return multicall.aggregate3.staticCall(
+    calls.map(([contract, method, ...args]) => ({
+      target: contract.target,
+      allowFailure: true,
+      callData: contract.interface.encodeFunctionData(method, args)
+    })),
+    { blockTag }
+  );
+}
+
+function decodeAggregate(calls, results) {
+  return results.map(({ success, returnData }, index) => {
+    const [contract, method] = calls[index];
+    if (!success) {
+      throw Object.assign(new Error(`${method} reverted.`), { code: 'CALL_EXCEPTION', data: returnData });
+    }
+    return unwrapResult(contract.interface.decodeFunctionResult(method, returnData));
+  });
+}
+
+function readWithBatch(provider, calls, blockTag) {
+  return Promise.all(
+    calls.map(([contract, method, ...args]) => contract.connect(provider).getFunction(method).staticCall(...args, { blockTag }))
+  );
+}
+
+export async function readAll(network, calls) {
+  const provider = getReadProvider(network);
+  const blockNumber = await provider.getBlockNumber();
+  const multicallAddress = getMulticall3Address(network.chainId);
+  if (multicallAddress) {
+    const results = await aggregate(provider, multicallAddress, calls, blockNumber).catch(() => null);
+    if (results) {
+      return { blockNumber, values: decodeAggregate(calls, results) };
+    }
+  }
+  return { blockNumber, values: await readWithBatch(provider, calls, blockNumber) };
+}
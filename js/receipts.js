@@ -0,0 +1,75 @@
+import { findContractName } from './config.js';
+import { loadAllAbis } from './abis.js';
+import { formatDecoded } from './errors.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before receipts.js.');
+}
+
+let contractInterfaces = null;
+
+async function getEventInterfaces() {
+  const { abis, combined } = await loadAllAbis();
+  if (!contractInterfaces) {
+    contractInterfaces = new Map(Object.entries(abis).map(([name, abi]) => [name, new ethers.Interface(abi)]));
+  }
+  return { combined, byName: contractInterfaces };
+}
+
+async function getReceiptChainId(receipt) {
+  if (receipt.chainId !== undefined) {
+    return receipt.chainId;
+  }
+  return receipt.provider ? (await receipt.provider.getNetwork()).chainId : undefined;
+}
+
+function getLogInterfaces({ combined, byName }, contract) {
+  const own = byName.get(contract);
+  return own ? [own, combined, ...byName.values()] : [combined, ...byName.values()];
+}
+
+function parseLog(interfaces, log) {
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed) {
+        return parsed;
+      }
+    } catch (err) {
+      // Same topic with different indexed parameters; try the next interface.
+    }
+  }
+  return null;
+}
+
+export async function decodeReceiptLogs(receipt) {
+  if (!receipt?.logs?.length) {
+    return [];
+  }
+  const [interfaces, chainId] = await Promise.all([getEventInterfaces(), getReceiptChainId(receipt)]);
+  return receipt.logs.map((log) => {
+    const name = findContractName(log.address, chainId);
+    const parsed = parseLog(getLogInterfaces(interfaces, name), log);
+    return {
+      index: log.index,
+      address: log.address,
+      contract: name ?? log.address,
+      name: parsed?.name ?? null,
+      description: parsed ? formatDecoded(parsed.fragment, parsed.args) : `unknown event ${log.topics[0] ?? '(anonymous)'}`
+    };
+  });
+}
+
+export async function describeReceiptEvents(receipt) {
+  try {
+    const events = await decodeReceiptLogs(receipt);
+    if (!events.length) {
+      return '';
+    }
+    return `\nEvents:\n${events.map((event) => `- ${event.description} · ${event.contract}`).join('\n')}`;
+  } catch (err) {
+    return `\nEvents: ${receipt.logs.length} log(s), not decoded (${err.message}).`;
+  }
+}
@@ -0,0 +1,495 @@
+import { ACTIVE_PROFILE } from './config.js';
+import { describeError } from './errors.js';
+import { logError, logEvent } from './logs.js';
+
+const RECORDING_STORAGE_KEY = 'falaj.recording';
+const REPLAY_STORAGE_KEY = 'falaj.replay';
+const SCRIPT_VERSION = 1;
+const DIALOG_ID = 'recorder-replay';
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+const VARIABLE_PATTERN = /\$\{(\w+)\}/g;
+
+const actions = new Map();
+let drawer = null;
+let replayRunning = false;
+
+function currentPage() {
+  return window.location.pathname.split('/').pop() || 'index.html';
+}
+
+function readJson(storage, key, fallback) {
+  try {
+    return JSON.parse(storage.getItem(key) || 'null') ?? fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function readRecording() {
+  return readJson(localStorage, RECORDING_STORAGE_KEY, { active: false, steps: [] });
+}
+
+function writeRecording(recording) {
+  localStorage.setItem(RECORDING_STORAGE_KEY, JSON.stringify(recording));
+  renderDrawer();
+}
+
+function readReplay() {
+  return readJson(sessionStorage, REPLAY_STORAGE_KEY, null);
+}
+
+function writeReplay(replay) {
+  if (replay) {
+    sessionStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replay));
+  } else {
+    sessionStorage.removeItem(REPLAY_STORAGE_KEY);
+  }
+  renderDrawer();
+}
+
+function show(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logEvent(message);
+}
+
+function showError(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logError(message);
+}
+
+function readFields(button) {
+  const row = button.closest('.action-row');
+  const fields = {};
+  row?.querySelectorAll('input[id], select[id], textarea[id]').forEach((field) => {
+    fields[field.id] = field.type === 'checkbox' ? field.checked : field.value;
+  });
+  return fields;
+}
+
+function recordStep(id, handlerName, fields) {
+  const recording = readRecording();
+  if (!recording.active || replayRunning) {
+    return;
+  }
+  recording.steps.push({ page: currentPage(), action: id, handler: handlerName, fields });
+  writeRecording(recording);
+}
+
+export function registerAction(id, handler, run) {
+  const button = document.getElementById(id);
+  const handlerName = handler.name || id;
+  actions.set(id, { handler: handlerName, run });
+  return async () => {
+    const fields = button ? readFields(button) : {};
+    await run();
+    recordStep(id, handlerName, fields);
+  };
+}
+
+function extractVariables(steps) {
+  const variables = {};
+  const names = new Map();
+  const counters = { address: 0, amount: 0 };
+  const parameterize = (fieldId, value) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    let kind = null;
+    if (ADDRESS_PATTERN.test(value)) {
+      kind = 'address';
+    } else if (/amount/i.test(fieldId) && AMOUNT_PATTERN.test(value)) {
+      kind = 'amount';
+    } else {
+      return value;
+    }
+    const key = `${kind}:${kind === 'address' ? value.toLowerCase() : value}`;
+    if (!names.has(key)) {
+      counters[kind] += 1;
+      names.set(key, `${kind}${counters[kind]}`);
+      variables[names.get(key)] = value;
+    }
+    return `\${${names.get(key)}}`;
+  };
+  const parameterized = steps.map((step) => ({
+    ...step,
+    fields: Object.fromEntries(
+      Object.entries(step.fields).map(([fieldId, value]) => [fieldId, parameterize(fieldId, value)])
+    )
+  }));
+  return { variables, steps: parameterized };
+}
+
+function buildScript(steps) {
+  const { variables, steps: parameterized } = extractVariables(steps);
+  const recordedAt = new Date().toISOString();
+  return {
+    version: SCRIPT_VERSION,
+    name: `Falaj session ${recordedAt}`,
+    recordedAt,
+    environment: ACTIVE_PROFILE.id,
+    variables,
+    steps: parameterized
+  };
+}
+
+function validateScript(script) {
+  if (script?.version !== SCRIPT_VERSION || !Array.isArray(script.steps) || !script.steps.length) {
+    throw new Error(`Not a version ${SCRIPT_VERSION} recorder script with at least one step.`);
+  }
+  script.steps.forEach((step, index) => {
+    if (typeof step?.page !== 'string' || typeof step.action !== 'string' || typeof step.fields !== 'object') {
+      throw new Error(`Step ${index + 1} needs page, action and fields.`);
+    }
+  });
+  return { name: script.name || 'Recorder script', variables: script.variables ?? {}, steps: script.steps };
+}
+
+function downloadJson(fileName, content) {
+  const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function substitute(value, variables) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(VARIABLE_PATTERN, (match, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Unknown variable ${match}.`);
+    }
+    return String(variables[name]);
+  });
+}
+
+function fillFields(fields, variables) {
+  Object.entries(fields).forEach(([fieldId, value]) => {
+    const field = document.getElementById(fieldId);
+    if (!field) {
+      throw new Error(`Field #${fieldId} is not on ${currentPage()}.`);
+    }
+    if (field.type === 'checkbox') {
+      field.checked = Boolean(value);
+    } else {
+      field.value = substitute(value, variables);
+    }
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+async function runStep(step, variables) {
+  const action = actions.get(step.action);
+  if (!action) {
+    throw new Error(`Action #${step.action} is not on ${currentPage()}.`);
+  }
+  fillFields(step.fields, variables);
+  await action.run();
+}
+
+function finishReplay(replay, status) {
+  replay.status = status;
+  replay.finishedAt = new Date().toISOString();
+  while (replay.results.length < replay.steps.length) {
+    const step = replay.steps[replay.results.length];
+    replay.results.push({
+      index: replay.results.length + 1,
+      page: step.page,
+      action: step.action,
+      handler: step.handler ?? null,
+      status: 'skipped',
+      message: null,
+      durationMs: 0
+    });
+  }
+  writeReplay(replay);
+  const passed = replay.results.filter((result) => result.status === 'passed').length;
+  const summary = `Replay of ${replay.name} ${status}: ${passed} of ${replay.steps.length} step(s) passed.`;
+  if (status === 'passed') {
+    show(summary);
+  } else {
+    showError(summary);
+  }
+}
+
+async function continueReplay(ready) {
+  let replay = readReplay();
+  if (!replay || replay.status !== 'running') {
+    return;
+  }
+  await ready;
+  replayRunning = true;
+  try {
+    while (replay.results.length < replay.steps.length) {
+      const step = replay.steps[replay.results.length];
+      if (step.page !== currentPage()) {
+        writeReplay(replay);
+        logEvent(`Replay continues on ${step.page}.`);
+        window.location.assign(step.page);
+        return;
+      }
+      const index = replay.results.length + 1;
+      const started = Date.now();
+      const result = { index, page: step.page, action: step.action, handler: step.handler ?? null };
+      logEvent(`Replay step ${index}/${replay.steps.length}: ${result.handler ?? step.action} on ${step.page}.`);
+      try {
+        await runStep(step, replay.variables);
+        Object.assign(result, { status: 'passed', message: document.getElementById('msg')?.textContent ?? null });
+      } catch (err) {
+        Object.assign(result, { status: 'failed', message: describeError(err) });
+      }
+      result.durationMs = Date.now() - started;
+      const latest = readReplay();
+      if (!latest || latest.status !== 'running') {
+        return;
+      }
+      replay = latest;
+      replay.results.push(result);
+      writeReplay(replay);
+      if (result.status === 'failed') {
+        logError(`Replay step ${index} failed: ${result.message}`);
+        finishReplay(replay, 'failed');
+        return;
+      }
+    }
+    finishReplay(replay, 'passed');
+  } finally {
+    replayRunning = false;
+  }
+}
+
+function startReplay(script, variables) {
+  const recording = readRecording();
+  if (recording.active) {
+    writeRecording({ ...recording, active: false });
+  }
+  writeReplay({
+    name: script.name,
+    environment: ACTIVE_PROFILE.id,
+    startedAt: new Date().toISOString(),
+    status: 'running',
+    variables,
+    steps: script.steps,
+    results: []
+  });
+  show(`Replaying ${script.name} (${script.steps.length} step(s)) against ${ACTIVE_PROFILE.label}.`);
+  continueReplay(Promise.resolve());
+}
+
+function openReplayDialog(script) {
+  let dialog = document.getElementById(DIALOG_ID);
+  if (!dialog) {
+    dialog = document.createElement('dialog');
+    dialog.id = DIALOG_ID;
+    dialog.className = 'wallet-dialog tx-dialog';
+    document.body.appendChild(dialog);
+  }
+  dialog.innerHTML = '';
+  const title = document.createElement('h4');
+  title.textContent = `Replay ${script.name}`;
+  dialog.appendChild(title);
+  const intro = document.createElement('p');
+  const pages = [...new Set(script.steps.map((step) => step.page))];
+  intro.textContent =
+    `${script.steps.length} step(s) on ${pages.join(', ')}, against ${ACTIVE_PROFILE.label}. ` +
+    'Each transaction still opens the preview for confirmation.';
+  dialog.appendChild(intro);
+
+  const inputs = Object.entries(script.variables).map(([name, value]) => {
+    const row = document.createElement('label');
+    row.className = 'tx-row';
+    const label = document.createElement('span');
+    label.textContent = name;
+    const input = document.createElement('input');
+    input.value = String(value);
+    input.dataset.variable = name;
+    row.appendChild(label);
+    row.appendChild(input);
+    dialog.appendChild(row);
+    return input;
+  });
+
+  const actionsRow = document.createElement('div');
+  actionsRow.className = 'tx-actions';
+  const start = document.createElement('button');
+  start.type = 'button';
+  start.textContent = 'Start replay';
+  start.addEventListener('click', () => {
+    const variables = Object.fromEntries(inputs.map((input) => [input.dataset.variable, input.value.trim()]));
+    dialog.close();
+    startReplay(script, variables);
+  });
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => dialog.close());
+  actionsRow.appendChild(start);
+  actionsRow.appendChild(cancel);
+  dialog.appendChild(actionsRow);
+  dialog.showModal();
+}
+
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    try {
+      onClick();
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`);
+    }
+  });
+  return button;
+}
+
+function describeStep(step) {
+  const values = Object.entries(step.fields)
+    .map(([fieldId, value]) => `${fieldId}=${value}`)
+    .join(', ');
+  return `${step.handler ?? step.action} · ${step.page}${values ? ` · ${values}` : ''}`;
+}
+
+function renderDrawer() {
+  if (!drawer) {
+    return;
+  }
+  const recording = readRecording();
+  const replay = readReplay();
+  const running = replay?.status === 'running';
+  if (running) {
+    drawer.toggle.textContent = `Replaying ${replay.results.length + 1}/${replay.steps.length}`;
+  } else {
+    drawer.toggle.textContent = recording.active ? `Recording (${recording.steps.length})` : 'Recorder';
+  }
+  drawer.toggle.classList.toggle('recorder-active', running || recording.active);
+
+  drawer.controls.innerHTML = '';
+  if (running) {
+    drawer.controls.appendChild(
+      createButton('Abort replay', () => {
+        finishReplay(readReplay(), 'aborted');
+      })
+    );
+  } else {
+    drawer.controls.appendChild(
+      createButton(recording.active ? 'Stop recording' : 'Record', () => {
+        writeRecording({ ...recording, active: !recording.active });
+        logEvent(recording.active ? `Stopped recording (${recording.steps.length} step(s)).` : 'Recording actions.');
+      })
+    );
+    const download = createButton('Download script', () => {
+      downloadJson(`falaj-script-${Date.now()}.json`, buildScript(recording.steps));
+      show(`Downloaded a script of ${recording.steps.length} step(s).`);
+    });
+    download.disabled = !recording.steps.length;
+    drawer.controls.appendChild(download);
+    const clear = createButton('Clear steps', () => writeRecording({ ...recording, steps: [] }));
+    clear.disabled = !recording.steps.length;
+    drawer.controls.appendChild(clear);
+    drawer.controls.appendChild(createButton('Replay script…', () => drawer.fileInput.click()));
+    if (replay) {
+      drawer.controls.appendChild(
+        createButton('Download report', () => downloadJson(`falaj-replay-report-${Date.now()}.json`, replay))
+      );
+      drawer.controls.appendChild(createButton('Clear report', () => writeReplay(null)));
+    }
+  }
+
+  drawer.list.innerHTML = '';
+  if (replay) {
+    const heading = document.createElement('li');
+    heading.className = 'recorder-heading';
+    heading.textContent = `${replay.name} · ${replay.environment} · ${replay.status}`;
+    drawer.list.appendChild(heading);
+    replay.steps.forEach((step, index) => {
+      const result = replay.results[index];
+      const item = document.createElement('li');
+      const status = result?.status ?? (running && index === replay.results.length ? 'running' : 'pending');
+      item.className = `recorder-step recorder-status-${status}`;
+      const message = result?.message ? `\n${result.message}` : '';
+      item.textContent = `${index + 1}. ${status} · ${describeStep(step)}${message}`;
+      drawer.list.appendChild(item);
+    });
+    return;
+  }
+  if (!recording.steps.length) {
+    const empty = document.createElement('li');
+    empty.className = 'recorder-step';
+    empty.textContent = recording.active ? 'Click any action to record it.' : 'No steps recorded.';
+    drawer.list.appendChild(empty);
+  }
+  recording.steps.forEach((step, index) => {
+    const item = document.createElement('li');
+    item.className = 'recorder-step';
+    item.textContent = `${index + 1}. ${describeStep(step)}`;
+    drawer.list.appendChild(item);
+  });
+}
+
+function buildDrawer() {
+  const container = document.createElement('div');
+  container.className = 'recorder';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'recorder-toggle';
+  container.appendChild(toggle);
+
+  const panel = document.createElement('div');
+  panel.className = 'recorder-panel';
+  panel.hidden = true;
+  const controls = document.createElement('div');
+  controls.className = 'recorder-controls';
+  panel.appendChild(controls);
+  const list = document.createElement('ol');
+  list.className = 'recorder-steps';
+  panel.appendChild(list);
+  container.appendChild(panel);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      openReplayDialog(validateScript(JSON.parse(await file.text())));
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`);
+    }
+  });
+  container.appendChild(fileInput);
+
+  toggle.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+  });
+  document.body.appendChild(container);
+  return { toggle, controls, list, fileInput };
+}
+
+export function initRecorder({ ready = Promise.resolve() } = {}) {
+  if (drawer) {
+    return;
+  }
+  drawer = buildDrawer();
+  renderDrawer();
+  continueReplay(ready).catch((err) => showError(`Error: Replay stopped: ${describeError(err)}`));
+}
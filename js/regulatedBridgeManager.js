@@ -1,21 +1,38 @@
 import {
+  ACTIVE_PROFILE,
   EXPLORER_BASE,
   FALAJ_NETWORK,
+  getActiveDeployment,
   REGULATED_BRIDGE_MANAGER_ABI_URL,
-  REGULATED_BRIDGE_MANAGER_ADDRESS
+  REGULATED_BRIDGE_MANAGER_ADDRESS,
+  requireAddress
 } from './config.js';
 import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
+  getReadProvider,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -25,6 +42,8 @@ if (!ethers) {
 
 let bridgeManagerAbi = null;
 let bridgeManager = null;
+let contractAddress = REGULATED_BRIDGE_MANAGER_ADDRESS;
+let sessionGeneration = 0;
 const ERC20_APPROVAL_ABI = [
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)',
@@ -66,38 +85,49 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
+  logError(msg, details);
 }
 
+const WRITE_ACTION_METHODS = {
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause',
+  'receive-teleporter-btn': 'receiveTeleporterMessage',
+  'rescue-tokens-btn': 'rescueTokens',
+  'set-stablecoin-btn': 'setAEDStablecoin',
+  'set-authorized-chain-btn': 'setAuthorizedSourceChain',
+  'set-bridge-reserve-btn': 'setBridgeReserve',
+  'set-minting-mode-btn': 'setMintingMode',
+  'set-payment-processor-btn': 'setPaymentProcessor',
+  'set-teleporter-messenger-btn': 'setTeleporterMessenger',
+  'approve-btn': 'approve'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
+
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'pause-btn',
-    'unpause-btn',
-    'receive-teleporter-btn',
-    'rescue-tokens-btn',
-    'set-stablecoin-btn',
-    'set-authorized-chain-btn',
-    'set-bridge-reserve-btn',
-    'set-minting-mode-btn',
-    'set-payment-processor-btn',
-    'set-teleporter-messenger-btn',
-    'token-details-btn',
-    'allowance-btn',
-    'approve-btn',
-    'summary-btn',
-    'roles-btn',
-    'bridge-stats-btn',
-    'can-receive-btn',
-    'authorized-chain-btn',
-    'payment-processor-btn',
-    'message-processed-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureBridgeManager(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -161,8 +191,7 @@ async function getTokenDecimals(tokenAddress) {
       source: `native (${NATIVE_TOKEN_SYMBOL})`
     };
   }
-  const signer = getSigner();
-  const provider = signer?.provider ?? signer;
+  const provider = getReadProvider(FALAJ_NETWORK);
   const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, provider);
   try {
     const decimals = await token.decimals();
@@ -174,8 +203,7 @@ async function getTokenDecimals(tokenAddress) {
 }
 
 async function getTokenMetadata(tokenAddress) {
-  const signer = getSigner();
-  const provider = signer?.provider ?? signer;
+  const provider = getReadProvider(FALAJ_NETWORK);
   const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, provider);
   const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
   return { decimals: Number(decimals), symbol };
@@ -185,58 +213,112 @@ async function ensureBridgeManager() {
   if (bridgeManager) {
     return bridgeManager;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getBridgeManagerAbi();
-  bridgeManager = new ethers.Contract(REGULATED_BRIDGE_MANAGER_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'RegulatedBridgeManager');
+  bridgeManager = new ethers.Contract(address, abi, runner);
   return bridgeManager;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureBridgeManager();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   bridgeManager = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${REGULATED_BRIDGE_MANAGER_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${REGULATED_BRIDGE_MANAGER_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === REGULATED_BRIDGE_MANAGER_ADDRESS ? getActiveDeployment('regulatedBridgeManager') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'RegulatedBridgeManager', address, network: FALAJ_NETWORK });
+  bridgeManager = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handlePause() {
   const contract = await ensureBridgeManager();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Pause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Pause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensureBridgeManager();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleReceiveTeleporterMessage() {
@@ -247,10 +329,10 @@ async function handleReceiveTeleporterMessage() {
   );
   const originSender = parseAddress(document.getElementById('teleporter-origin-sender').value, 'Origin sender');
   const payload = parseHexBytes(document.getElementById('teleporter-payload').value, 'Payload');
-  const tx = await contract.receiveTeleporterMessage(sourceChainId, originSender, payload);
+  const tx = await sendTransaction(contract, 'receiveTeleporterMessage', [sourceChainId, originSender, payload]);
   show(`Teleporter message submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Teleporter message confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Teleporter message confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRescueTokens() {
@@ -264,66 +346,66 @@ async function handleRescueTokens() {
   );
   const sourceLabel = source ? ` (${source})` : '';
   logEvent(`Token decimals: ${tokenDecimals}${sourceLabel}${isFallback ? ' (fallback used)' : ''}`);
-  const tx = await contract.rescueTokens(token, amount);
+  const tx = await sendTransaction(contract, 'rescueTokens', [token, amount]);
   show(`Rescue submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Rescue confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Rescue confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetStablecoin() {
   const contract = await ensureBridgeManager();
   const stablecoin = parseAddress(document.getElementById('stablecoin-address').value, 'Stablecoin');
-  const tx = await contract.setAEDStablecoin(stablecoin);
+  const tx = await sendTransaction(contract, 'setAEDStablecoin', [stablecoin]);
   show(`Stablecoin update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Stablecoin update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Stablecoin update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetAuthorizedChain() {
   const contract = await ensureBridgeManager();
   const chainId = parseBytes32(document.getElementById('authorized-chain-id').value, 'Chain ID');
   const authorized = document.getElementById('authorized-chain-enabled').value === 'true';
-  const tx = await contract.setAuthorizedSourceChain(chainId, authorized);
+  const tx = await sendTransaction(contract, 'setAuthorizedSourceChain', [chainId, authorized]);
   show(`Authorized chain update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Authorized chain update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Authorized chain update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetBridgeReserve() {
   const contract = await ensureBridgeManager();
   const reserve = parseAddress(document.getElementById('bridge-reserve-address').value, 'Bridge reserve');
-  const tx = await contract.setBridgeReserve(reserve);
+  const tx = await sendTransaction(contract, 'setBridgeReserve', [reserve]);
   show(`Bridge reserve update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Bridge reserve update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Bridge reserve update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetMintingMode() {
   const contract = await ensureBridgeManager();
   const useMinting = document.getElementById('minting-mode').value === 'true';
-  const tx = await contract.setMintingMode(useMinting);
+  const tx = await sendTransaction(contract, 'setMintingMode', [useMinting]);
   show(`Minting mode update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Minting mode update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Minting mode update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetPaymentProcessor() {
   const contract = await ensureBridgeManager();
   const chainId = parseBytes32(document.getElementById('payment-chain-id').value, 'Chain ID');
   const processor = parseAddress(document.getElementById('payment-processor-address').value, 'Payment processor');
-  const tx = await contract.setPaymentProcessor(chainId, processor);
+  const tx = await sendTransaction(contract, 'setPaymentProcessor', [chainId, processor]);
   show(`Payment processor update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Payment processor update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Payment processor update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetTeleporterMessenger() {
   const contract = await ensureBridgeManager();
   const messenger = parseAddress(document.getElementById('teleporter-messenger').value, 'Teleporter messenger');
-  const tx = await contract.setTeleporterMessenger(messenger);
+  const tx = await sendTransaction(contract, 'setTeleporterMessenger', [messenger]);
   show(`Teleporter messenger update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Teleporter messenger update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Teleporter messenger update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleTokenDetails() {
@@ -343,8 +425,7 @@ async function handleAllowance() {
   const owner = parseAddress(document.getElementById('allowance-owner').value, 'Owner');
   const spender = parseAddress(document.getElementById('allowance-spender').value, 'Spender');
   const { decimals, symbol } = await getTokenMetadata(tokenAddress);
-  const signer = getSigner();
-  const provider = signer?.provider ?? signer;
+  const provider = getReadProvider(FALAJ_NETWORK);
   const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, provider);
   const allowance = await token.allowance(owner, spender);
   const output = [
@@ -366,16 +447,25 @@ async function handleApprove() {
     'Amount',
     decimals
   );
-  const signer = getSigner();
-  const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, signer);
-  const tx = await token.approve(spender, amount);
+  const token = new ethers.Contract(tokenAddress, ERC20_APPROVAL_ABI, getContractRunner(FALAJ_NETWORK));
+  const tx = await sendTransaction(token, 'approve', [spender, amount]);
   show(`Approve submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Approve confirmed: ${tx.hash}\nApproved: ${ethers.formatUnits(amount, decimals)} ${symbol}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Approve confirmed: ${tx.hash}\nApproved: ${ethers.formatUnits(amount, decimals)} ${symbol}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureBridgeManager();
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'aedStablecoin'],
+    [contract, 'bridgeReserve'],
+    [contract, 'useMinting'],
+    [contract, 'totalBridgedIn'],
+    [contract, 'totalBridgeTransactions'],
+    [contract, 'paused'],
+    [contract, 'identityRegistry'],
+    [contract, 'teleporterMessenger']
+  ]);
   const [
     stablecoin,
     bridgeReserve,
@@ -385,17 +475,9 @@ async function handleSummary() {
     paused,
     identityRegistry,
     teleporterMessenger
-  ] = await Promise.all([
-    contract.aedStablecoin(),
-    contract.bridgeReserve(),
-    contract.useMinting(),
-    contract.totalBridgedIn(),
-    contract.totalBridgeTransactions(),
-    contract.paused(),
-    contract.identityRegistry(),
-    contract.teleporterMessenger()
-  ]);
+  ] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Identity registry: ${identityRegistry}`,
     `AED stablecoin: ${stablecoin}`,
     `Bridge reserve: ${bridgeReserve}`,
@@ -460,21 +542,44 @@ async function handleMessageProcessed() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'RegulatedBridgeManager' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'regulatedBridgeManager',
+    contractName: 'RegulatedBridgeManager',
+    defaultAddress: REGULATED_BRIDGE_MANAGER_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'RegulatedBridgeManager', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -501,12 +606,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
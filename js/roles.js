@@ -1,3 +1,5 @@
+import { describeError } from './errors.js';
+
 export function extractRoleFunctionNames(abi) {
   if (!Array.isArray(abi)) {
     return [];
@@ -40,7 +42,7 @@ export async function fetchRoleValues(contract, abi) {
       const value = await contract[name]();
       results.push({ name, value });
     } catch (err) {
-      results.push({ name, value: `Error: ${err?.message || err}` });
+      results.push({ name, value: `Error: ${describeError(err)}` });
     }
   }
   return results;
@@ -0,0 +1,200 @@
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before rpc.js.');
+}
+
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_BLOCK_LAG = 5;
+
+const readProviders = new Map();
+const statusHandlers = new Set();
+
+function createEndpoint(url) {
+  return { url, healthy: true, blockNumber: null, lag: null, latencyMs: null, error: null, checkedAt: null };
+}
+
+async function probeEndpoint(url) {
+  const request = new ethers.FetchRequest(url);
+  request.timeout = HEALTH_CHECK_TIMEOUT_MS;
+  request.body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_blockNumber', params: [] });
+  request.setHeader('content-type', 'application/json');
+  const started = performance.now();
+  const response = await request.send();
+  response.assertOk();
+  const { result, error } = response.bodyJson;
+  if (error) {
+    throw new Error(error.message || 'eth_blockNumber failed');
+  }
+  return { blockNumber: Number(result), latencyMs: Math.round(performance.now() - started) };
+}
+
+class FailoverRpcProvider extends ethers.JsonRpcProvider {
+  #chainId;
+  #endpoints;
+  #active = 0;
+  #checking = null;
+  #healthTimer = null;
+
+  constructor(network) {
+    const urls = network.rpcUrls;
+    if (!urls?.length) {
+      throw new Error(`No RPC URLs configured for ${network.chainName}.`);
+    }
+    super(urls[0], Number(network.chainId), { staticNetwork: true });
+    this.#chainId = Number(network.chainId);
+    this.#endpoints = urls.map(createEndpoint);
+  }
+
+  get activeEndpoint() {
+    return this.#endpoints[this.#active];
+  }
+
+  getStatus() {
+    return {
+      chainId: this.#chainId,
+      activeUrl: this.activeEndpoint.url,
+      endpoints: this.#endpoints.map((endpoint) => ({ ...endpoint }))
+    };
+  }
+
+  _getConnection() {
+    const request = new ethers.FetchRequest(this.activeEndpoint.url);
+    request.timeout = REQUEST_TIMEOUT_MS;
+    return request;
+  }
+
+  async _send(payload) {
+    const others = this.#endpoints.map((_, index) => index).filter((index) => index !== this.#active);
+    const order = [
+      this.#active,
+      ...others.filter((index) => this.#endpoints[index].healthy),
+      ...others.filter((index) => !this.#endpoints[index].healthy)
+    ];
+    let lastError = null;
+    for (const index of order) {
+      this.#active = index;
+      try {
+        return await super._send(payload);
+      } catch (err) {
+        lastError = err;
+        Object.assign(this.#endpoints[index], {
+          healthy: false,
+          error: err.shortMessage || err.message,
+          checkedAt: Date.now()
+        });
+        emitStatus(this);
+      }
+    }
+    throw lastError;
+  }
+
+  usesUrls(urls) {
+    return urls.length === this.#endpoints.length && urls.every((url, index) => url === this.#endpoints[index].url);
+  }
+
+  startHealthChecks() {
+    this.checkHealth().catch(() => {});
+    this.#healthTimer = setInterval(() => {
+      if (!document.hidden) {
+        this.checkHealth().catch(() => {});
+      }
+    }, HEALTH_CHECK_INTERVAL_MS);
+  }
+
+  destroy() {
+    clearInterval(this.#healthTimer);
+    this.#healthTimer = null;
+    if (readProviders.get(this.#chainId) === this) {
+      readProviders.delete(this.#chainId);
+    }
+    super.destroy();
+  }
+
+  checkHealth() {
+    if (!this.#checking) {
+      this.#checking = this.#runHealthCheck().finally(() => {
+        this.#checking = null;
+      });
+    }
+    return this.#checking;
+  }
+
+  async #runHealthCheck() {
+    const results = await Promise.allSettled(this.#endpoints.map((endpoint) => probeEndpoint(endpoint.url)));
+    const heights = results.filter((result) => result.status === 'fulfilled').map((result) => result.value.blockNumber);
+    const bestBlock = heights.length ? Math.max(...heights) : null;
+    const checkedAt = Date.now();
+
+    results.forEach((result, index) => {
+      const endpoint = this.#endpoints[index];
+      if (result.status === 'rejected') {
+        Object.assign(endpoint, {
+          healthy: false,
+          blockNumber: null,
+          lag: null,
+          latencyMs: null,
+          error: result.reason?.shortMessage || result.reason?.message || String(result.reason),
+          checkedAt
+        });
+        return;
+      }
+      const { blockNumber, latencyMs } = result.value;
+      const lag = bestBlock - blockNumber;
+      Object.assign(endpoint, {
+        healthy: lag <= MAX_BLOCK_LAG,
+        blockNumber,
+        lag,
+        latencyMs,
+        error: lag <= MAX_BLOCK_LAG ? null : `${lag} blocks behind`,
+        checkedAt
+      });
+    });
+
+    const ranked = this.#endpoints
+      .map((endpoint, index) => ({ endpoint, index }))
+      .filter(({ endpoint }) => endpoint.healthy)
+      .sort((a, b) => a.endpoint.latencyMs - b.endpoint.latencyMs);
+    if (ranked.length && !this.activeEndpoint.healthy) {
+      this.#active = ranked[0].index;
+    } else if (ranked.length && ranked[0].endpoint.latencyMs * 2 < this.activeEndpoint.latencyMs) {
+      this.#active = ranked[0].index;
+    }
+    emitStatus(this);
+    return this.getStatus();
+  }
+}
+
+function emitStatus(provider) {
+  const status = provider.getStatus();
+  statusHandlers.forEach((handler) => handler(status));
+}
+
+export function getReadProvider(network) {
+  const chainId = Number(network.chainId);
+  const existing = readProviders.get(chainId);
+  if (existing && !existing.usesUrls(network.rpcUrls ?? [])) {
+    existing.destroy();
+  }
+  if (!readProviders.has(chainId)) {
+    const provider = new FailoverRpcProvider(network);
+    readProviders.set(chainId, provider);
+    provider.startHealthChecks();
+  }
+  return readProviders.get(chainId);
+}
+
+export function getRpcStatus(network) {
+  return getReadProvider(network).getStatus();
+}
+
+export function checkRpcHealth(network) {
+  return getReadProvider(network).checkHealth();
+}
+
+export function onRpcStatus(handler) {
+  statusHandlers.add(handler);
+  return () => statusHandlers.delete(handler);
+}
@@ -0,0 +1,274 @@
+import {
+  ACTIVE_PROFILE,
+  AVALANCHE_TESTNET_C_NETWORK,
+  FALAJ_NETWORK,
+  listProfiles,
+  removeCustomProfile,
+  saveCustomProfile,
+  selectProfile
+} from './config.js';
+import {
+  activatePersona,
+  getActivePersona,
+  getSessionInfo,
+  listPersonas,
+  onSessionChanged,
+  removePersona,
+  savePersona
+} from './wallet.js';
+import { checkRpcHealth, getRpcStatus, onRpcStatus } from './rpc.js';
+import { logError, logEvent } from './logs.js';
+import { describeError } from './errors.js';
+
+const KNOWN_NETWORKS = [FALAJ_NETWORK, AVALANCHE_TESTNET_C_NETWORK];
+const PERSONA_SUGGESTIONS = ['Regulator', 'Issuer', 'Seller', 'Buyer', 'Validator', 'Distributor', 'Participant'];
+
+let initialized = false;
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+function describeChain(chainId) {
+  const network = KNOWN_NETWORKS.find((entry) => Number(entry.chainId) === Number(chainId));
+  return network ? `${network.chainName} (${chainId})` : `Unknown chain (${chainId})`;
+}
+
+function renderSessionStatus(target, network) {
+  const { wallet, persona, account, chainId } = getSessionInfo();
+  target.innerHTML = '';
+  target.classList.remove('session-warning');
+  if (!account) {
+    target.textContent = 'Not connected (read-only).';
+    return;
+  }
+  const accountLabel = document.createElement('strong');
+  accountLabel.textContent = persona ? `${persona.name} · ${account}` : account;
+  accountLabel.title = account;
+  target.appendChild(document.createTextNode('Account: '));
+  target.appendChild(accountLabel);
+  target.appendChild(document.createTextNode(` · Chain: ${describeChain(chainId)} · Wallet: ${wallet?.name ?? 'unknown'}`));
+  if (network && Number(chainId) !== Number(network.chainId)) {
+    target.classList.add('session-warning');
+    target.appendChild(document.createTextNode(` · Wrong network, this page targets ${network.chainName}.`));
+  }
+}
+
+function describeEndpoint(url) {
+  try {
+    return new URL(url).host;
+  } catch (err) {
+    return url;
+  }
+}
+
+function renderRpcStatus(target, status) {
+  const active = status.endpoints.find((endpoint) => endpoint.url === status.activeUrl);
+  const healthyCount = status.endpoints.filter((endpoint) => endpoint.healthy).length;
+  target.classList.toggle('session-warning', !active?.healthy);
+  target.title = status.endpoints
+    .map((endpoint) => `${endpoint.healthy ? 'OK' : 'DOWN'} ${endpoint.url}${endpoint.error ? ` (${endpoint.error})` : ''}`)
+    .concat('Click to re-check now.')
+    .join('\n');
+  if (!active?.checkedAt) {
+    target.textContent = `RPC: ${describeEndpoint(status.activeUrl)} · checking…`;
+    return;
+  }
+  const details = active.blockNumber === null
+    ? [active.error || 'unreachable']
+    : [`block ${active.blockNumber}`, active.lag ? `${active.lag} behind` : 'in sync', `${active.latencyMs} ms`];
+  target.textContent =
+    `RPC: ${describeEndpoint(status.activeUrl)} · ${details.join(' · ')} · ` +
+    `${healthyCount}/${status.endpoints.length} endpoints healthy`;
+}
+
+function reportError(err) {
+  const message = `Error: ${describeError(err)}`;
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logError(message);
+}
+
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    Promise.resolve()
+      .then(onClick)
+      .catch(reportError);
+  });
+  return button;
+}
+
+function renderPersonas(select) {
+  const personas = listPersonas();
+  const active = getActivePersona();
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = personas.length ? '— no persona —' : '— none saved —';
+  select.appendChild(placeholder);
+  personas.forEach((persona) => {
+    const option = document.createElement('option');
+    option.value = persona.name;
+    option.textContent = `${persona.name} · ${shortAddress(persona.address)} · ${persona.walletName}`;
+    select.appendChild(option);
+  });
+  select.value = active?.name ?? '';
+}
+
+function buildPersonaControls() {
+  const group = document.createElement('div');
+  group.className = 'session-group';
+
+  const label = document.createElement('label');
+  label.textContent = 'Persona';
+  const select = document.createElement('select');
+  select.id = 'persona-select';
+  select.addEventListener('change', () => {
+    if (!select.value) {
+      return;
+    }
+    activatePersona(select.value)
+      .then((persona) => logEvent(`Switched to persona ${persona.name} (${persona.address}).`))
+      .catch((err) => {
+        renderPersonas(select);
+        reportError(err);
+      });
+  });
+  label.appendChild(select);
+  group.appendChild(label);
+
+  const nameInput = document.createElement('input');
+  nameInput.id = 'persona-name';
+  nameInput.placeholder = 'Persona name';
+  nameInput.setAttribute('list', 'persona-suggestions');
+  group.appendChild(nameInput);
+
+  const suggestions = document.createElement('datalist');
+  suggestions.id = 'persona-suggestions';
+  PERSONA_SUGGESTIONS.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    suggestions.appendChild(option);
+  });
+  group.appendChild(suggestions);
+
+  group.appendChild(
+    createButton('Save current account', async () => {
+      const persona = await savePersona(nameInput.value);
+      nameInput.value = '';
+      logEvent(`Saved persona ${persona.name} (${persona.address}).`);
+    })
+  );
+  group.appendChild(
+    createButton('Remove', () => {
+      if (select.value) {
+        removePersona(select.value);
+      }
+    })
+  );
+
+  return { group, select };
+}
+
+function buildEnvironmentControls() {
+  const group = document.createElement('div');
+  group.className = 'session-group';
+
+  const label = document.createElement('label');
+  label.textContent = 'Environment';
+  const select = document.createElement('select');
+  select.id = 'environment-select';
+  listProfiles().forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.custom ? `${profile.label} (custom)` : profile.label;
+    select.appendChild(option);
+  });
+  select.value = ACTIVE_PROFILE.id;
+  select.addEventListener('change', () => {
+    try {
+      selectProfile(select.value);
+    } catch (err) {
+      select.value = ACTIVE_PROFILE.id;
+      reportError(err);
+    }
+  });
+  label.appendChild(select);
+  group.appendChild(label);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const profile = saveCustomProfile(JSON.parse(await file.text()));
+      logEvent(`Imported environment profile ${profile.label} (${profile.id}).`);
+      selectProfile(profile.id);
+    } catch (err) {
+      reportError(err);
+    }
+  });
+  group.appendChild(fileInput);
+  group.appendChild(createButton('Import profile', () => fileInput.click()));
+
+  if (ACTIVE_PROFILE.custom) {
+    group.appendChild(
+      createButton('Remove profile', () => {
+        removeCustomProfile(ACTIVE_PROFILE.id);
+        selectProfile(listProfiles()[0].id);
+      })
+    );
+  }
+
+  return group;
+}
+
+export function initSessionHeader(network) {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  const main = document.querySelector('.page-main');
+  if (!main) {
+    return;
+  }
+  const header = document.createElement('div');
+  header.className = 'session-header';
+  const status = document.createElement('div');
+  status.className = 'session-status';
+  header.appendChild(status);
+  const rpcStatus = document.createElement('div');
+  rpcStatus.className = 'session-status session-rpc';
+  header.appendChild(rpcStatus);
+  header.appendChild(buildEnvironmentControls());
+  const personaControls = buildPersonaControls();
+  header.appendChild(personaControls.group);
+  main.prepend(header);
+
+  renderSessionStatus(status, network);
+  renderPersonas(personaControls.select);
+  if (network) {
+    renderRpcStatus(rpcStatus, getRpcStatus(network));
+    onRpcStatus((rpc) => {
+      if (rpc.chainId === Number(network.chainId)) {
+        renderRpcStatus(rpcStatus, rpc);
+      }
+    });
+    rpcStatus.addEventListener('click', () => checkRpcHealth(network).catch(reportError));
+  }
+  onSessionChanged(() => {
+    renderSessionStatus(status, network);
+    renderPersonas(personaControls.select);
+  });
+}
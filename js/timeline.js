@@ -0,0 +1,172 @@
+import { clearActivity, getActivitySessionId, getRetention, listActivity, setRetention } from './activityStore.js';
+import { describeError } from './errors.js';
+import { initLogs, logEvent, logError } from './logs.js';
+import { initTxTracker } from './txTracker.js';
+
+const CURRENT_SESSION = 'current';
+
+let entries = [];
+
+function show(msg) {
+  document.getElementById('msg').textContent = msg;
+  logEvent(msg);
+}
+
+function showError(msg) {
+  document.getElementById('msg').textContent = msg;
+  logError(msg);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+}
+
+function shortSession(sessionId) {
+  return sessionId ? sessionId.slice(0, 8) : '—';
+}
+
+function summarizeSessions() {
+  const sessions = new Map();
+  entries.forEach((entry) => {
+    const session = sessions.get(entry.sessionId) ?? {
+      id: entry.sessionId,
+      first: entry.timestamp,
+      count: 0,
+      pages: new Set()
+    };
+    session.count += 1;
+    session.pages.add(entry.page);
+    sessions.set(entry.sessionId, session);
+  });
+  return [...sessions.values()].sort((a, b) => b.first.localeCompare(a.first));
+}
+
+function renderSessionOptions() {
+  const select = document.getElementById('timeline-session');
+  const selected = select.value || CURRENT_SESSION;
+  select.innerHTML = '';
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+  addOption(CURRENT_SESSION, `This tab (${shortSession(getActivitySessionId())})`);
+  addOption('', 'All sessions');
+  summarizeSessions().forEach((session) => {
+    addOption(
+      session.id,
+      `${shortSession(session.id)} · ${formatTime(session.first)} · ${session.count} entries on ${session.pages.size} page(s)`
+    );
+  });
+  select.value = [...select.options].some((option) => option.value === selected) ? selected : CURRENT_SESSION;
+}
+
+function getFilteredEntries() {
+  const session = document.getElementById('timeline-session').value;
+  const level = document.getElementById('timeline-level').value;
+  const sessionId = session === CURRENT_SESSION ? getActivitySessionId() : session;
+  return entries.filter((entry) => (!sessionId || entry.sessionId === sessionId) && (!level || entry.level === level));
+}
+
+function createCell(text, className) {
+  const cell = document.createElement('td');
+  cell.textContent = text ?? '';
+  if (className) {
+    cell.className = className;
+  }
+  return cell;
+}
+
+function renderTimeline() {
+  const table = document.getElementById('timeline');
+  table.innerHTML = '';
+  const head = document.createElement('tr');
+  ['Time', 'Session', 'Page', 'Contract', 'Action', 'Status', 'Message'].forEach((label) => {
+    const cell = document.createElement('th');
+    cell.textContent = label;
+    head.appendChild(cell);
+  });
+  table.appendChild(head);
+
+  const visible = getFilteredEntries();
+  visible.forEach((entry) => {
+    const row = document.createElement('tr');
+    row.className = `timeline-${entry.level}`;
+    row.appendChild(createCell(formatTime(entry.timestamp)));
+    row.appendChild(createCell(shortSession(entry.sessionId)));
+    row.appendChild(createCell(entry.page));
+    row.appendChild(createCell(entry.contract));
+    row.appendChild(createCell(entry.action));
+    row.appendChild(createCell(entry.status ?? (entry.errorCode ? `error ${entry.errorCode}` : null)));
+    row.appendChild(createCell(entry.message, 'timeline-message'));
+    table.appendChild(row);
+  });
+
+  const sessions = new Set(visible.map((entry) => entry.sessionId));
+  document.getElementById('timeline-summary').textContent =
+    `${visible.length} of ${entries.length} stored entries, from ${sessions.size} session(s), oldest first.`;
+}
+
+function renderRetention() {
+  const { days, maxEntries } = getRetention();
+  document.getElementById('retention-days').value = String(days);
+  document.getElementById('retention-max').value = String(maxEntries);
+}
+
+async function loadTimeline() {
+  entries = await listActivity();
+  renderSessionOptions();
+  renderTimeline();
+}
+
+async function handleSaveRetention() {
+  const days = Number(document.getElementById('retention-days').value);
+  const maxEntries = Number(document.getElementById('retention-max').value);
+  const removed = await setRetention({ days, maxEntries });
+  await loadTimeline();
+  show(`Keeping activity for ${days} day(s), up to ${maxEntries} entries. Removed ${removed} older entries.`);
+}
+
+async function handleClearAll() {
+  if (!window.confirm('Delete the stored activity of every page and session? This cannot be undone.')) {
+    return;
+  }
+  await clearActivity();
+  show('Cleared the stored activity timeline.');
+  await loadTimeline();
+}
+
+function wireButton(id, handler) {
+  const button = document.getElementById(id);
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    try {
+      await handler();
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`);
+    }
+  });
+}
+
+function boot() {
+  initLogs();
+  initTxTracker();
+  renderRetention();
+  wireButton('timeline-refresh', loadTimeline);
+  wireButton('retention-save', handleSaveRetention);
+  wireButton('timeline-clear', handleClearAll);
+  ['timeline-session', 'timeline-level'].forEach((id) => {
+    document.getElementById(id).addEventListener('change', renderTimeline);
+  });
+  loadTimeline().catch((err) => showError(`Error: Could not read the activity timeline: ${describeError(err)}`));
+}
+
+boot();
@@ -0,0 +1,408 @@
+import { AVALANCHE_TESTNET_C_NETWORK, FALAJ_NETWORK, findContractName } from './config.js';
+import { getSigner } from './wallet.js';
+import { trackTransaction } from './txTracker.js';
+import { describeError } from './errors.js';
+import { checkPermission } from './permissions.js';
+import { logError, logEvent } from './logs.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before transactions.js.');
+}
+
+const DIALOG_ID = 'tx-preview';
+const SIMULATE_STORAGE_KEY = 'falaj.alwaysSimulate';
+const KNOWN_NETWORKS = [FALAJ_NETWORK, AVALANCHE_TESTNET_C_NETWORK];
+
+let capture = null;
+
+function getNativeSymbol(chainId) {
+  const network = KNOWN_NETWORKS.find((entry) => Number(entry.chainId) === Number(chainId));
+  return network?.nativeCurrency?.symbol ?? 'native token';
+}
+
+function formatGwei(value) {
+  return value === null || value === undefined ? '' : ethers.formatUnits(value, 'gwei');
+}
+
+function parseGwei(value, label) {
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return null;
+  }
+  try {
+    return ethers.parseUnits(trimmed, 'gwei');
+  } catch (err) {
+    throw new Error(`${label} must be a number of gwei.`);
+  }
+}
+
+function parseInteger(value, label) {
+  const trimmed = value.trim();
+  if (!/^\d+$/.test(trimmed)) {
+    throw new Error(`${label} must be a whole number.`);
+  }
+  return BigInt(trimmed);
+}
+
+function describeCall(contract, populated) {
+  try {
+    const parsed = contract.interface.parseTransaction({ data: populated.data, value: populated.value });
+    const args = parsed.args.map((arg) => (typeof arg === 'bigint' ? arg.toString() : String(arg)));
+    return `${parsed.name}(${args.join(', ')})`;
+  } catch (err) {
+    return populated.data.slice(0, 10);
+  }
+}
+
+function formatValue(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return `[${Array.from(value, formatValue).join(', ')}]`;
+  }
+  return String(value);
+}
+
+export function isAlwaysSimulate() {
+  return localStorage.getItem(SIMULATE_STORAGE_KEY) === 'true';
+}
+
+export function setAlwaysSimulate(enabled) {
+  localStorage.setItem(SIMULATE_STORAGE_KEY, String(Boolean(enabled)));
+}
+
+async function simulateCall(contract, method, args, overrides) {
+  try {
+    const result = await contract.getFunction(method).staticCall(...args, overrides);
+    const fragment = contract.interface.getFunction(method);
+    const output = fragment.outputs.length === 0 ? 'no return value' : formatValue(result);
+    return { ok: true, message: `Simulation succeeded: ${output}` };
+  } catch (err) {
+    return { ok: false, message: `Simulation failed: ${describeError(err)}` };
+  }
+}
+
+function buildSimulationControls(simulate, initialResult) {
+  const section = document.createElement('div');
+  section.className = 'tx-simulation';
+
+  const result = document.createElement('p');
+  result.className = 'tx-simulation-result';
+  const renderResult = ({ ok, message }) => {
+    result.textContent = message;
+    result.classList.toggle('tx-simulation-failed', !ok);
+  };
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = 'Simulate';
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    result.textContent = 'Simulating…';
+    renderResult(await simulate());
+    button.disabled = false;
+  });
+  section.appendChild(button);
+
+  const toggle = document.createElement('label');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = isAlwaysSimulate();
+  checkbox.addEventListener('change', () => setAlwaysSimulate(checkbox.checked));
+  toggle.appendChild(checkbox);
+  toggle.appendChild(document.createTextNode(' Always simulate first'));
+  section.appendChild(toggle);
+
+  section.appendChild(result);
+  if (initialResult) {
+    renderResult(initialResult);
+  }
+  return section;
+}
+
+async function buildPreview(signer, contract, populated) {
+  const provider = signer.provider;
+  const [estimate, feeData, pendingNonce, latestNonce, network, blockNumber] = await Promise.all([
+    signer.estimateGas(populated).then(
+      (gasLimit) => ({ gasLimit, error: null }),
+      (error) => ({ gasLimit: null, error })
+    ),
+    provider.getFeeData(),
+    signer.getNonce('pending'),
+    signer.getNonce('latest'),
+    provider.getNetwork(),
+    provider.getBlockNumber()
+  ]);
+  return {
+    call: describeCall(contract, populated),
+    to: populated.to,
+    value: populated.value ?? 0n,
+    gasLimit: estimate.gasLimit,
+    estimateError: estimate.error,
+    feeData,
+    nonce: pendingNonce,
+    queued: pendingNonce - latestNonce,
+    symbol: getNativeSymbol(network.chainId),
+    blockNumber
+  };
+}
+
+function createRow(labelText, content) {
+  const row = document.createElement('div');
+  row.className = 'tx-row';
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  row.appendChild(label);
+  const value = document.createElement('span');
+  value.textContent = content;
+  row.appendChild(value);
+  return row;
+}
+
+function createInput(labelText, value, placeholder) {
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  const input = document.createElement('input');
+  input.value = value;
+  input.placeholder = placeholder;
+  label.appendChild(input);
+  return { label, input };
+}
+
+function getDialog() {
+  let dialog = document.getElementById(DIALOG_ID);
+  if (dialog) {
+    return dialog;
+  }
+  dialog = document.createElement('dialog');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'wallet-dialog tx-dialog';
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+function confirmTransaction(label, preview, simulate) {
+  const dialog = getDialog();
+  dialog.innerHTML = '';
+  const supportsEip1559 = preview.feeData.maxFeePerGas !== null;
+
+  const title = document.createElement('h4');
+  title.textContent = `Confirm: ${label}`;
+  dialog.appendChild(title);
+
+  dialog.appendChild(createRow('Call', preview.call));
+  dialog.appendChild(createRow('To', preview.to));
+  if (preview.value > 0n) {
+    dialog.appendChild(createRow('Value', `${ethers.formatEther(preview.value)} ${preview.symbol}`));
+  }
+  dialog.appendChild(
+    createRow('Estimated gas', preview.gasLimit === null ? 'estimate failed' : preview.gasLimit.toString())
+  );
+  if (preview.estimateError) {
+    const warning = document.createElement('p');
+    warning.className = 'tx-warning';
+    warning.textContent =
+      `Gas estimation failed: ${describeError(preview.estimateError)}. ` +
+      'The transaction will probably revert. Set a gas limit manually to send it anyway.';
+    dialog.appendChild(warning);
+  }
+  if (preview.permissionWarning) {
+    const permission = document.createElement('p');
+    permission.className = 'tx-warning';
+    permission.textContent = `Permission check: ${preview.permissionWarning}`;
+    dialog.appendChild(permission);
+  }
+  const cost = createRow('Max network fee', '');
+  dialog.appendChild(cost);
+  dialog.appendChild(buildSimulationControls(simulate, preview.simulation));
+  if (preview.queued > 0) {
+    const queued = document.createElement('p');
+    queued.className = 'tx-warning';
+    queued.textContent =
+      `${preview.queued} earlier transaction(s) from this account are still pending. ` +
+      'To replace a stuck one, set its nonce and a higher fee.';
+    dialog.appendChild(queued);
+  }
+
+  const advanced = document.createElement('details');
+  advanced.className = 'tx-advanced';
+  advanced.open = Boolean(preview.estimateError) || preview.queued > 0;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Advanced';
+  advanced.appendChild(summary);
+  const gasLimit = createInput('Gas limit', preview.gasLimit?.toString() ?? '', 'e.g. 300000');
+  const nonce = createInput('Nonce', preview.nonce.toString(), 'Next pending nonce');
+  const maxFee = createInput(
+    supportsEip1559 ? 'Max fee (gwei)' : 'Gas price (gwei)',
+    formatGwei(supportsEip1559 ? preview.feeData.maxFeePerGas : preview.feeData.gasPrice),
+    'gwei'
+  );
+  const priorityFee = createInput('Priority fee (gwei)', formatGwei(preview.feeData.maxPriorityFeePerGas), 'gwei');
+  advanced.appendChild(gasLimit.label);
+  advanced.appendChild(nonce.label);
+  advanced.appendChild(maxFee.label);
+  if (supportsEip1559) {
+    advanced.appendChild(priorityFee.label);
+  }
+  dialog.appendChild(advanced);
+
+  const error = document.createElement('p');
+  error.className = 'tx-warning';
+  dialog.appendChild(error);
+
+  const readOverrides = () => {
+    const overrides = {
+      gasLimit: parseInteger(gasLimit.input.value, 'Gas limit'),
+      nonce: Number(parseInteger(nonce.input.value, 'Nonce'))
+    };
+    const fee = parseGwei(maxFee.input.value, maxFee.label.firstChild.textContent);
+    if (supportsEip1559) {
+      overrides.maxFeePerGas = fee;
+      overrides.maxPriorityFeePerGas = parseGwei(priorityFee.input.value, 'Priority fee');
+      if (fee !== null && overrides.maxPriorityFeePerGas !== null && overrides.maxPriorityFeePerGas > fee) {
+        throw new Error('Priority fee cannot exceed the max fee.');
+      }
+    } else {
+      overrides.gasPrice = fee;
+    }
+    return overrides;
+  };
+
+  const updateCost = () => {
+    try {
+      const overrides = readOverrides();
+      const feePerGas =
+        overrides.maxFeePerGas ?? overrides.gasPrice ?? preview.feeData.maxFeePerGas ?? preview.feeData.gasPrice ?? 0n;
+      cost.lastChild.textContent = `${ethers.formatEther(overrides.gasLimit * feePerGas)} ${preview.symbol}`;
+      error.textContent = '';
+      return overrides;
+    } catch (err) {
+      cost.lastChild.textContent = '—';
+      error.textContent = err.message;
+      return null;
+    }
+  };
+  [gasLimit, nonce, maxFee, priorityFee].forEach(({ input }) => input.addEventListener('input', updateCost));
+  if (preview.gasLimit !== null) {
+    updateCost();
+  } else {
+    cost.lastChild.textContent = '—';
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'tx-actions';
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.textContent = 'Confirm and sign';
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.textContent = 'Cancel';
+  actions.appendChild(confirm);
+  actions.appendChild(cancel);
+  dialog.appendChild(actions);
+
+  return new Promise((resolve, reject) => {
+    let overrides = null;
+    confirm.addEventListener('click', () => {
+      overrides = updateCost();
+      if (overrides) {
+        dialog.close();
+      }
+    });
+    cancel.addEventListener('click', () => dialog.close());
+    dialog.addEventListener(
+      'close',
+      () => (overrides ? resolve(overrides) : reject(new Error(`${label} cancelled before signing.`))),
+      { once: true }
+    );
+    dialog.showModal();
+  });
+}
+
+async function buildUnsignedEntry(contract, method, args, overrides) {
+  const populated = await contract.getFunction(method).populateTransaction(...args, overrides);
+  const network = await (contract.runner.provider ?? contract.runner).getNetwork();
+  return {
+    chainId: network.chainId.toString(),
+    to: populated.to,
+    value: (populated.value ?? 0n).toString(),
+    data: populated.data,
+    contract: findContractName(populated.to, network.chainId) ?? populated.to,
+    method,
+    summary: describeCall(contract, populated)
+  };
+}
+
+export function isCapturingUnsigned() {
+  return capture !== null;
+}
+
+export async function addUnsignedTransaction(contract, method, args = [], overrides = {}) {
+  if (!capture) {
+    throw new Error('No unsigned export is in progress.');
+  }
+  capture.entries.push(await buildUnsignedEntry(contract, method, args, overrides));
+}
+
+export async function captureUnsignedTransactions(run) {
+  if (capture) {
+    throw new Error('Another unsigned export is already in progress.');
+  }
+  capture = { entries: [] };
+  let failure = null;
+  try {
+    await run();
+  } catch (err) {
+    failure = err;
+  }
+  const { entries } = capture;
+  capture = null;
+  if (entries.length && (!failure || failure.captured)) {
+    return entries;
+  }
+  throw failure ?? new Error('This action finished without building a transaction.');
+}
+
+export async function sendTransaction(contract, method, args = [], overrides = {}) {
+  if (capture) {
+    await addUnsignedTransaction(contract, method, args, overrides);
+    const stop = new Error(`${method} captured for export instead of being sent.`);
+    stop.captured = true;
+    throw stop;
+  }
+  const signer = getSigner();
+  if (!signer) {
+    throw new Error('Wallet not connected.');
+  }
+  const populated = await contract.getFunction(method).populateTransaction(...args, overrides);
+  populated.from = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const simulate = () => simulateCall(contract, method, args, { ...overrides, from: populated.from });
+  const [preview, simulation, permissionWarning] = await Promise.all([
+    buildPreview(signer, contract, populated),
+    isAlwaysSimulate() ? simulate() : null,
+    checkPermission(contract, method, args, populated.from, chainId)
+  ]);
+  if (permissionWarning) {
+    logError(`${method}: ${permissionWarning}`);
+  }
+  if (simulation) {
+    (simulation.ok ? logEvent : logError)(`${method}: ${simulation.message}`);
+  }
+  const chosen = await confirmTransaction(method, { ...preview, simulation, permissionWarning }, simulate);
+  const request = { ...populated };
+  Object.entries(chosen).forEach(([key, value]) => {
+    if (value !== null) {
+      request[key] = value;
+    }
+  });
+  if (chosen.nonce !== preview.nonce) {
+    logEvent(`Sending ${method} with manual nonce ${chosen.nonce} (next pending nonce is ${preview.nonce}).`);
+  }
+  const tx = await signer.sendTransaction(request);
+  trackTransaction(tx, { action: method, args, startBlock: preview.blockNumber });
+  return tx;
+}
@@ -0,0 +1,201 @@
+import { captureUnsignedTransactions } from './transactions.js';
+import { describeError } from './errors.js';
+import { logError, logEvent } from './logs.js';
+
+const BATCH_STORAGE_KEY = 'falaj.unsignedBatch';
+const DIALOG_ID = 'tx-export';
+const TX_BUILDER_VERSION = '1.16.5';
+
+function show(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logEvent(message);
+}
+
+function showError(message) {
+  const target = document.getElementById('msg');
+  if (target) {
+    target.textContent = message;
+  }
+  logError(message);
+}
+
+function readBatch() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(BATCH_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeBatch(entries) {
+  localStorage.setItem(BATCH_STORAGE_KEY, JSON.stringify(entries));
+}
+
+function addToBatch(entries) {
+  const batch = readBatch();
+  if (batch.length && batch[0].chainId !== entries[0].chainId) {
+    throw new Error(
+      `The queued batch is for chain ${batch[0].chainId}; download or clear it before adding a chain ${entries[0].chainId} transaction.`
+    );
+  }
+  batch.push(...entries);
+  writeBatch(batch);
+  return batch;
+}
+
+function buildTransactionBuilderFile(entries) {
+  return {
+    version: '1.0',
+    chainId: entries[0].chainId,
+    createdAt: Date.now(),
+    meta: {
+      name: entries.length === 1 ? entries[0].summary : `Falaj batch (${entries.length} transactions)`,
+      description: entries.map((entry, index) => `${index + 1}. ${entry.summary} on ${entry.contract}`).join('\n'),
+      txBuilderVersion: TX_BUILDER_VERSION
+    },
+    transactions: entries.map((entry) => ({ to: entry.to, value: entry.value, data: entry.data }))
+  };
+}
+
+function downloadJson(fileName, content) {
+  const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function downloadEntries(entries, label) {
+  downloadJson(`falaj-${label}-chain${entries[0].chainId}-${Date.now()}.json`, buildTransactionBuilderFile(entries));
+}
+
+function getDialog() {
+  let dialog = document.getElementById(DIALOG_ID);
+  if (dialog) {
+    return dialog;
+  }
+  dialog = document.createElement('dialog');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'wallet-dialog tx-dialog';
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+function createRow(labelText, content) {
+  const row = document.createElement('div');
+  row.className = 'tx-row';
+  const label = document.createElement('span');
+  label.textContent = labelText;
+  row.appendChild(label);
+  const value = document.createElement('span');
+  value.textContent = content;
+  row.appendChild(value);
+  return row;
+}
+
+function createAction(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function appendEntry(dialog, entry) {
+  dialog.appendChild(createRow('Call', entry.summary));
+  dialog.appendChild(createRow('Contract', entry.contract));
+  dialog.appendChild(createRow('To', entry.to));
+  dialog.appendChild(createRow('Value (wei)', entry.value));
+  dialog.appendChild(createRow('Chain ID', entry.chainId));
+
+  const calldata = document.createElement('textarea');
+  calldata.className = 'tx-export-calldata';
+  calldata.readOnly = true;
+  calldata.value = entry.data;
+  dialog.appendChild(calldata);
+}
+
+function openExportDialog(entries) {
+  const dialog = getDialog();
+  dialog.innerHTML = '';
+  const methods = entries.map((entry) => entry.method);
+  const summary = entries.map((entry) => entry.summary).join(' + ');
+
+  const title = document.createElement('h4');
+  title.textContent = `Unsigned transaction${entries.length > 1 ? 's' : ''}: ${methods.join(', ')}`;
+  dialog.appendChild(title);
+  if (entries.length > 1) {
+    const note = document.createElement('p');
+    note.textContent = `This action needs ${entries.length} transactions. They are exported together, in order.`;
+    dialog.appendChild(note);
+  }
+  entries.forEach((entry) => appendEntry(dialog, entry));
+
+  let batch = readBatch();
+  const batchNote = document.createElement('p');
+  dialog.appendChild(batchNote);
+
+  const actions = document.createElement('div');
+  actions.className = 'tx-actions';
+  const download = createAction('Download JSON', () => {
+    downloadEntries(entries, methods.join('-'));
+    dialog.close();
+    show(`Exported unsigned ${summary} for chain ${entries[0].chainId}.`);
+  });
+  const queue = createAction('Add to batch', () => {
+    try {
+      batch = addToBatch(entries);
+      queue.disabled = true;
+      logEvent(`Queued ${summary}. ${batch.length} transaction(s) in the batch.`);
+      renderBatch();
+    } catch (err) {
+      batchNote.textContent = err.message;
+    }
+  });
+  const downloadBatch = createAction('Download batch', () => {
+    downloadEntries(batch, 'batch');
+    dialog.close();
+    show(`Exported a batch of ${batch.length} unsigned transaction(s) for chain ${batch[0].chainId}.`);
+  });
+  const clearBatch = createAction('Clear batch', () => {
+    batch = [];
+    writeBatch(batch);
+    queue.disabled = false;
+    renderBatch();
+  });
+  const renderBatch = () => {
+    batchNote.textContent = batch.length
+      ? `${batch.length} transaction(s) queued for chain ${batch[0].chainId}.`
+      : 'No transactions queued.';
+    downloadBatch.disabled = !batch.length;
+    clearBatch.disabled = !batch.length;
+  };
+  renderBatch();
+  [download, queue, downloadBatch, clearBatch].forEach((button) => actions.appendChild(button));
+  actions.appendChild(createAction('Close', () => dialog.close()));
+  dialog.appendChild(actions);
+  dialog.showModal();
+}
+
+export function addExportButton(button, handler) {
+  const exportButton = document.createElement('button');
+  exportButton.type = 'button';
+  exportButton.className = 'tx-export-btn';
+  exportButton.textContent = 'Export unsigned tx';
+  exportButton.addEventListener('click', async () => {
+    try {
+      openExportDialog(await captureUnsignedTransactions(handler));
+    } catch (err) {
+      showError(`Error: ${describeError(err)}`);
+    }
+  });
+  button.after(exportButton);
+}
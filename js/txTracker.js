@@ -0,0 +1,342 @@
+import { AVALANCHE_TESTNET_C_NETWORK, FALAJ_NETWORK, findContractName, getExplorerBase } from './config.js';
+import { getReadProvider } from './rpc.js';
+import { getProvider } from './wallet.js';
+import { describeReceiptEvents } from './receipts.js';
+import { annotateTransaction, logError, logEvent } from './logs.js';
+
+const ethers = window.ethers;
+
+if (!ethers) {
+  throw new Error('Ethers library not loaded. Ensure the ethers script is included before txTracker.js.');
+}
+
+const STORAGE_KEY = 'falaj.transactions';
+const POLL_INTERVAL_MS = 4000;
+const MAX_FINISHED_RECORDS = 25;
+const MAX_REPLACEMENT_SCAN_BLOCKS = 200;
+const KNOWN_NETWORKS = [FALAJ_NETWORK, AVALANCHE_TESTNET_C_NETWORK];
+
+const watchers = new Map();
+let drawer = null;
+let initialized = false;
+
+function readRecords() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeRecords(records) {
+  const pending = records.filter((record) => record.status === 'pending');
+  const finished = records
+    .filter((record) => record.status !== 'pending')
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .slice(0, MAX_FINISHED_RECORDS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify([...pending, ...finished]));
+  renderDrawer();
+}
+
+function updateRecord(hash, changes) {
+  const records = readRecords();
+  const record = records.find((entry) => entry.hash === hash);
+  if (!record) {
+    return null;
+  }
+  Object.assign(record, changes, { updatedAt: Date.now() });
+  writeRecords(records);
+  annotateTransaction(hash, { status: record.status, block: record.blockNumber ?? null });
+  return record;
+}
+
+function serializeArg(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, serializeArg);
+  }
+  return value;
+}
+
+function getTrackingProvider(chainId) {
+  const network = KNOWN_NETWORKS.find((entry) => Number(entry.chainId) === Number(chainId));
+  return network ? getReadProvider(network) : getProvider();
+}
+
+function classifyReplacement(record, replacement) {
+  const sameCall =
+    replacement.to?.toLowerCase() === record.to?.toLowerCase() &&
+    replacement.data === record.data &&
+    replacement.value.toString() === record.value;
+  if (sameCall) {
+    return 'sped-up';
+  }
+  const isCancel =
+    replacement.to?.toLowerCase() === record.from.toLowerCase() && replacement.value === 0n && replacement.data === '0x';
+  return isCancel ? 'cancelled' : 'replaced';
+}
+
+async function findReplacement(provider, record) {
+  const latest = await provider.getBlockNumber();
+  const start = Math.max(record.startBlock ?? latest, latest - MAX_REPLACEMENT_SCAN_BLOCKS);
+  for (let blockNumber = latest; blockNumber >= start; blockNumber -= 1) {
+    const block = await provider.getBlock(blockNumber, true);
+    const replacement = block?.prefetchedTransactions.find(
+      (tx) => tx.from.toLowerCase() === record.from.toLowerCase() && tx.nonce === record.nonce
+    );
+    if (replacement) {
+      return replacement;
+    }
+  }
+  return null;
+}
+
+async function pollRecord(provider, record) {
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) {
+    return { status: receipt.status === 1 ? 'confirmed' : 'failed', receipt };
+  }
+  const confirmedNonce = await provider.getTransactionCount(record.from, 'latest');
+  if (confirmedNonce <= record.nonce) {
+    return null;
+  }
+  const lateReceipt = await provider.getTransactionReceipt(record.hash);
+  if (lateReceipt) {
+    return { status: lateReceipt.status === 1 ? 'confirmed' : 'failed', receipt: lateReceipt };
+  }
+  const replacement = await findReplacement(provider, record);
+  if (!replacement) {
+    return { status: 'replaced', receipt: null };
+  }
+  const replacementReceipt = await provider.getTransactionReceipt(replacement.hash);
+  const status = classifyReplacement(record, replacement);
+  return {
+    status: status === 'sped-up' && replacementReceipt?.status === 0 ? 'failed' : status,
+    receipt: replacementReceipt,
+    replacementHash: replacement.hash
+  };
+}
+
+function settle(record, outcome) {
+  const label = `${record.action} on ${record.contract}`;
+  if (outcome.status === 'confirmed') {
+    return outcome.receipt;
+  }
+  if (outcome.status === 'sped-up' && outcome.receipt?.status === 1) {
+    logEvent(`${label} was sped up; replacement ${outcome.replacementHash} confirmed.`);
+    return outcome.receipt;
+  }
+  if (outcome.status === 'failed' && outcome.replacementHash) {
+    throw new Error(
+      `${label} was sped up, but replacement ${outcome.replacementHash} reverted on-chain in block ${outcome.receipt.blockNumber}.`
+    );
+  }
+  if (outcome.status === 'failed') {
+    throw new Error(`${label} reverted on-chain in block ${outcome.receipt.blockNumber} (${record.hash}).`);
+  }
+  if (outcome.status === 'cancelled') {
+    throw new Error(`${label} was cancelled by replacement ${outcome.replacementHash}.`);
+  }
+  throw new Error(
+    outcome.replacementHash
+      ? `${label} was replaced by ${outcome.replacementHash}.`
+      : `${label} was replaced by another transaction with nonce ${record.nonce}.`
+  );
+}
+
+function watchRecord(record) {
+  if (watchers.has(record.hash)) {
+    return watchers.get(record.hash);
+  }
+  const watcher = (async () => {
+    const provider = getTrackingProvider(record.chainId);
+    if (!provider) {
+      throw new Error(`No provider available to track ${record.hash} on chain ${record.chainId}.`);
+    }
+    for (;;) {
+      let outcome = null;
+      try {
+        outcome = await pollRecord(provider, record);
+      } catch (err) {
+        outcome = null;
+      }
+      if (outcome) {
+        updateRecord(record.hash, {
+          status: outcome.status,
+          blockNumber: outcome.receipt?.blockNumber ?? null,
+          replacementHash: outcome.replacementHash ?? null
+        });
+        return settle(record, outcome);
+      }
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  })();
+  watchers.set(record.hash, watcher);
+  return watcher;
+}
+
+export function trackTransaction(tx, { action, args = [], startBlock = null }) {
+  const record = {
+    hash: tx.hash,
+    chainId: Number(tx.chainId),
+    from: tx.from,
+    nonce: tx.nonce,
+    to: tx.to,
+    data: tx.data,
+    value: (tx.value ?? 0n).toString(),
+    action,
+    contract: findContractName(tx.to, tx.chainId) ?? tx.to,
+    args: serializeArg(args),
+    page: window.location.pathname.split('/').pop() || 'index.html',
+    startBlock,
+    status: 'pending',
+    submittedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  writeRecords([record, ...readRecords().filter((entry) => entry.hash !== record.hash)]);
+  annotateTransaction(record.hash, {
+    chainId: record.chainId,
+    contract: record.contract,
+    action,
+    args: record.args,
+    status: 'pending',
+    block: null
+  });
+  watchRecord(record).catch(() => {});
+  return record;
+}
+
+export function waitForTransaction(tx) {
+  const record = readRecords().find((entry) => entry.hash === tx.hash);
+  return record ? watchRecord(record) : tx.wait();
+}
+
+function shortHash(hash) {
+  return `${hash.slice(0, 10)}…${hash.slice(-6)}`;
+}
+
+function createTxLink(hash, chainId) {
+  const explorerBase = getExplorerBase(chainId);
+  if (!explorerBase) {
+    const code = document.createElement('code');
+    code.textContent = shortHash(hash);
+    return code;
+  }
+  const link = document.createElement('a');
+  link.href = `${explorerBase}/tx/${hash}`;
+  link.target = '_blank';
+  link.textContent = shortHash(hash);
+  return link;
+}
+
+function renderRecord(record) {
+  const item = document.createElement('li');
+  item.className = `tx-record tx-status-${record.status}`;
+
+  const title = document.createElement('div');
+  title.className = 'tx-record-title';
+  title.textContent = `${record.action} · ${record.contract}`;
+  item.appendChild(title);
+
+  const meta = document.createElement('div');
+  meta.className = 'tx-record-meta';
+  meta.appendChild(document.createTextNode(`${record.status} · nonce ${record.nonce} · `));
+  meta.appendChild(createTxLink(record.hash, record.chainId));
+  if (record.replacementHash) {
+    meta.appendChild(document.createTextNode(' → '));
+    meta.appendChild(createTxLink(record.replacementHash, record.chainId));
+  }
+  meta.appendChild(document.createTextNode(` · ${new Date(record.submittedAt).toLocaleTimeString()} · ${record.page}`));
+  item.appendChild(meta);
+
+  if (record.args.length) {
+    const args = document.createElement('div');
+    args.className = 'tx-record-args';
+    args.textContent = JSON.stringify(record.args);
+    item.appendChild(args);
+  }
+  return item;
+}
+
+function renderDrawer() {
+  if (!drawer) {
+    return;
+  }
+  const records = readRecords();
+  const pendingCount = records.filter((record) => record.status === 'pending').length;
+  drawer.toggle.textContent = pendingCount ? `Transactions (${pendingCount} pending)` : 'Transactions';
+  drawer.toggle.classList.toggle('tx-drawer-busy', pendingCount > 0);
+  drawer.list.innerHTML = '';
+  if (!records.length) {
+    const empty = document.createElement('li');
+    empty.className = 'tx-record-empty';
+    empty.textContent = 'No transactions yet.';
+    drawer.list.appendChild(empty);
+  }
+  records.forEach((record) => drawer.list.appendChild(renderRecord(record)));
+}
+
+function buildDrawer() {
+  const container = document.createElement('div');
+  container.className = 'tx-drawer';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'tx-drawer-toggle';
+  container.appendChild(toggle);
+
+  const panel = document.createElement('div');
+  panel.className = 'tx-drawer-panel';
+  panel.hidden = true;
+  const list = document.createElement('ul');
+  list.className = 'tx-drawer-list';
+  panel.appendChild(list);
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.textContent = 'Clear finished';
+  clear.addEventListener('click', () => writeRecords(readRecords().filter((record) => record.status === 'pending')));
+  panel.appendChild(clear);
+  container.appendChild(panel);
+
+  toggle.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+  });
+  document.body.appendChild(container);
+  return { toggle, list };
+}
+
+export function initTxTracker() {
+  if (initialized) {
+    return;
+  }
+  initialized = true;
+  drawer = buildDrawer();
+  renderDrawer();
+  readRecords()
+    .filter((record) => record.status === 'pending')
+    .forEach((record) => {
+      annotateTransaction(record.hash, {
+        chainId: record.chainId,
+        contract: record.contract,
+        action: record.action,
+        args: record.args,
+        status: 'pending'
+      });
+      logEvent(`Resuming ${record.action} on ${record.contract}: ${record.hash}`);
+      watchRecord(record)
+        .then(async (receipt) => {
+          const events = await describeReceiptEvents(receipt);
+          logEvent(`${record.action} confirmed in block ${receipt.blockNumber}: ${receipt.hash}${events}`);
+        })
+        .catch((err) => logError(`Error: ${err.message}`));
+    });
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY) {
+      renderDrawer();
+    }
+  });
+}
@@ -1,6 +1,9 @@
 import {
+  ACTIVE_PROFILE,
   EXPLORER_BASE,
   FALAJ_NETWORK,
+  getActiveDeployment,
+  requireAddress,
   USDT_BOND_ABI_URL,
   USDT_BOND_ADDRESS
 } from './config.js';
@@ -8,14 +11,27 @@ import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -28,6 +44,8 @@ const INTEGER_PATTERN = /^\d+$/;
 
 let usdtBondAbi = null;
 let usdtBond = null;
+let contractAddress = USDT_BOND_ADDRESS;
+let sessionGeneration = 0;
 let tokenDecimals = 0;
 
 function normalizeAbi(abiData) {
@@ -62,34 +80,47 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
+  logError(msg, details);
 }
 
+const WRITE_ACTION_METHODS = {
+  'transfer-btn': 'transfer',
+  'approve-btn': 'approve',
+  'activate-btn': 'activate',
+  'mark-matured-btn': 'markMatured',
+  'mark-redeemed-btn': 'markRedeemed',
+  'freeze-btn': 'freeze',
+  'unfreeze-btn': 'unfreeze',
+  'pause-btn': 'pause',
+  'unpause-btn': 'unpause'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
+
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'transfer-btn',
-    'approve-btn',
-    'activate-btn',
-    'mark-matured-btn',
-    'mark-redeemed-btn',
-    'freeze-btn',
-    'unfreeze-btn',
-    'pause-btn',
-    'unpause-btn',
-    'summary-btn',
-    'roles-btn',
-    'balance-btn',
-    'allowance-btn',
-    'eligible-btn',
-    'can-transfer-btn',
-    'time-to-maturity-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureUsdtBond(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -135,141 +166,189 @@ async function ensureUsdtBond() {
   if (usdtBond) {
     return usdtBond;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getUsdtBondAbi();
-  usdtBond = new ethers.Contract(USDT_BOND_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'USDTBond');
+  usdtBond = new ethers.Contract(address, abi, runner);
   tokenDecimals = Number(await usdtBond.decimals());
   return usdtBond;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureUsdtBond();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   usdtBond = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${USDT_BOND_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${USDT_BOND_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === USDT_BOND_ADDRESS ? getActiveDeployment('usdtBond') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'USDTBond', address, network: FALAJ_NETWORK });
+  usdtBond = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleTransfer() {
   const contract = await ensureUsdtBond();
   const to = parseAddress(document.getElementById('transfer-to').value, 'Recipient');
   const amount = parseTokenAmount(document.getElementById('transfer-amount').value);
-  const tx = await contract.transfer(to, amount);
+  const tx = await sendTransaction(contract, 'transfer', [to, amount]);
   show(`Transfer submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Transfer confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Transfer confirmed: ${tx.hash}${events}`);
 }
 
 async function handleApprove() {
   const contract = await ensureUsdtBond();
   const spender = parseAddress(document.getElementById('approve-spender').value, 'Spender');
   const amount = parseTokenAmount(document.getElementById('approve-amount').value);
-  const tx = await contract.approve(spender, amount);
+  const tx = await sendTransaction(contract, 'approve', [spender, amount]);
   show(`Approve submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Approve confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Approve confirmed: ${tx.hash}${events}`);
 }
 
 async function handleActivate() {
   const contract = await ensureUsdtBond();
-  const tx = await contract.activate();
+  const tx = await sendTransaction(contract, 'activate');
   show(`Activate submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Activate confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Activate confirmed: ${tx.hash}${events}`);
 }
 
 async function handleMarkMatured() {
   const contract = await ensureUsdtBond();
-  const tx = await contract.markMatured();
+  const tx = await sendTransaction(contract, 'markMatured');
   show(`Mark matured submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Mark matured confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Mark matured confirmed: ${tx.hash}${events}`);
 }
 
 async function handleMarkRedeemed() {
   const contract = await ensureUsdtBond();
-  const tx = await contract.markRedeemed();
+  const tx = await sendTransaction(contract, 'markRedeemed');
   show(`Mark redeemed submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Mark redeemed confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Mark redeemed confirmed: ${tx.hash}${events}`);
 }
 
 async function handleFreeze() {
   const contract = await ensureUsdtBond();
   const reason = requireValue(document.getElementById('freeze-reason').value, 'Reason');
-  const tx = await contract.freeze(reason);
+  const tx = await sendTransaction(contract, 'freeze', [reason]);
   show(`Freeze submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Freeze confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Freeze confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnfreeze() {
   const contract = await ensureUsdtBond();
   const rawState = document.getElementById('unfreeze-state').value;
   const state = parseUnfreezeState(rawState);
-  const tx = await contract.unfreeze(state);
+  const tx = await sendTransaction(contract, 'unfreeze', [state]);
   show(`Unfreeze submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unfreeze confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unfreeze confirmed: ${tx.hash}${events}`);
 }
 
 async function handlePause() {
   const contract = await ensureUsdtBond();
-  const tx = await contract.pause();
+  const tx = await sendTransaction(contract, 'pause');
   show(`Pause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Pause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Pause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnpause() {
   const contract = await ensureUsdtBond();
-  const tx = await contract.unpause();
+  const tx = await sendTransaction(contract, 'unpause');
   show(`Unpause submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unpause confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unpause confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureUsdtBond();
-  const [
-    name,
-    symbol,
-    decimals,
-    bondDetails,
-    paused,
-    totalSupply
-  ] = await Promise.all([
-    contract.name(),
-    contract.symbol(),
-    contract.decimals(),
-    contract.getBondDetails(),
-    contract.paused(),
-    contract.totalSupply()
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'name'],
+    [contract, 'symbol'],
+    [contract, 'decimals'],
+    [contract, 'getBondDetails'],
+    [contract, 'paused'],
+    [contract, 'totalSupply']
   ]);
+  const [name, symbol, decimals, bondDetails, paused, totalSupply] = values;
   const [
     isin,
     maturityDate,
@@ -281,6 +360,7 @@ async function handleSummary() {
     detailSupply
   ] = bondDetails;
   const output = [
+    `Block: ${blockNumber}`,
     `Name: ${name}`,
     `Symbol: ${symbol}`,
     `Decimals: ${decimals}`,
@@ -348,21 +428,44 @@ async function handleTimeToMaturity() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'USDTBond' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'usdtBond',
+    contractName: 'USDTBond',
+    defaultAddress: USDT_BOND_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'USDTBond', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -385,12 +488,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
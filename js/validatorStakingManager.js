@@ -1,6 +1,9 @@
 import {
+  ACTIVE_PROFILE,
   EXPLORER_BASE,
   FALAJ_NETWORK,
+  getActiveDeployment,
+  requireAddress,
   VALIDATOR_STAKING_MANAGER_ABI_URL,
   VALIDATOR_STAKING_MANAGER_ADDRESS
 } from './config.js';
@@ -8,14 +11,27 @@ import {
   connectWallet,
   disconnectWallet,
   ensureCorrectNetwork,
+  getContractRunner,
   getSigner,
-  onAccountsChanged,
-  onChainChanged,
+  onSessionChanged,
+  restoreSession,
   switchNetwork
 } from './wallet.js';
+import { chooseWallet } from './walletChooser.js';
+import { initAddressOverride } from './addressOverride.js';
+import { sendTransaction } from './transactions.js';
+import { addExportButton } from './txExport.js';
+import { applyRoleGating, findBlockedActions } from './permissions.js';
+import { readAll } from './reads.js';
+import { initTxTracker, waitForTransaction } from './txTracker.js';
+import { startEventStream } from './eventStream.js';
+import { describeReceiptEvents } from './receipts.js';
+import { initSessionHeader } from './sessionHeader.js';
 import { initLogs, logEvent, logError } from './logs.js';
+import { initRecorder, registerAction } from './recorder.js';
 import { fetchRoleValues } from './roles.js';
 import { parseDecimalAmount } from './amounts.js';
+import { describeError, getErrorCode } from './errors.js';
 
 const ethers = window.ethers;
 
@@ -25,6 +41,8 @@ if (!ethers) {
 
 let stakingManagerAbi = null;
 let stakingManager = null;
+let contractAddress = VALIDATOR_STAKING_MANAGER_ADDRESS;
+let sessionGeneration = 0;
 
 function normalizeAbi(abiData) {
   if (Array.isArray(abiData)) {
@@ -58,42 +76,52 @@ function show(msg) {
   logEvent(msg);
 }
 
-function showError(msg) {
+function showError(msg, details) {
   document.getElementById('msg').textContent = msg;
-  logError(msg);
-}
+  logError(msg, details);
+}
+
+const WRITE_ACTION_METHODS = {
+  'stake-btn': 'stake',
+  'unstake-btn': 'unstake',
+  'register-validator-btn': 'registerValidator',
+  'deregister-validator-btn': 'deregisterValidator',
+  'claim-rewards-btn': 'claimRewards',
+  'distribute-rewards-btn': 'distributeRewards',
+  'slash-btn': 'slash',
+  'set-fee-distribution-btn': 'setFeeDistribution',
+  'set-grace-period-btn': 'setGracePeriod',
+  'set-slash-receiver-btn': 'setSlashReceiver',
+  'set-stake-ratio-btn': 'setStakeToIssuanceRatio',
+  'grant-role-btn': 'grantRole',
+  'revoke-role-btn': 'revokeRole',
+  'renounce-role-btn': 'renounceRole'
+};
+
+const WRITE_ACTION_BUTTONS = Object.keys(WRITE_ACTION_METHODS);
 
 function setActionButtonsEnabled(enabled) {
-  const actionButtons = [
-    'stake-btn',
-    'unstake-btn',
-    'register-validator-btn',
-    'deregister-validator-btn',
-    'claim-rewards-btn',
-    'distribute-rewards-btn',
-    'slash-btn',
-    'set-fee-distribution-btn',
-    'set-grace-period-btn',
-    'set-slash-receiver-btn',
-    'set-stake-ratio-btn',
-    'grant-role-btn',
-    'revoke-role-btn',
-    'renounce-role-btn',
-    'summary-btn',
-    'roles-btn',
-    'validator-details-btn',
-    'validator-stake-btn',
-    'required-stake-btn',
-    'stake-deficit-btn',
-    'is-validator-btn',
-    'is-compliant-btn',
-    'grace-deadline-btn',
-    'validators-paginated-btn'
-  ];
-  actionButtons.forEach((id) => {
+  WRITE_ACTION_BUTTONS.forEach((id) => {
     const btn = document.getElementById(id);
     if (btn) btn.disabled = !enabled;
   });
+  applyRoleGating(WRITE_ACTION_METHODS);
+}
+
+async function refreshRoleGating(generation) {
+  try {
+    const blocked = await findBlockedActions(
+      await ensureStakingManager(),
+      WRITE_ACTION_METHODS,
+      getSigner().address,
+      FALAJ_NETWORK.chainId
+    );
+    if (generation === sessionGeneration) {
+      applyRoleGating(WRITE_ACTION_METHODS, blocked);
+    }
+  } catch (err) {
+    showError(`Error: ${describeError(err)}`);
+  }
 }
 
 function requireValue(value, label) {
@@ -151,96 +179,150 @@ async function ensureStakingManager() {
   if (stakingManager) {
     return stakingManager;
   }
-  const signer = getSigner();
-  if (!signer) {
-    throw new Error('Wallet not connected.');
-  }
   const abi = await getStakingManagerAbi();
-  stakingManager = new ethers.Contract(VALIDATOR_STAKING_MANAGER_ADDRESS, abi, signer);
+  const runner = getContractRunner(FALAJ_NETWORK);
+  const address = requireAddress(contractAddress, 'ValidatorStakingManager');
+  stakingManager = new ethers.Contract(address, abi, runner);
   return stakingManager;
 }
 
 async function handleConnect() {
-  await connectWallet();
+  const wallet = await chooseWallet();
+  if (!wallet) {
+    show('Wallet selection cancelled.');
+    return;
+  }
+  await connectWallet(wallet);
   try {
     await ensureCorrectNetwork(FALAJ_NETWORK);
   } catch (err) {
     await switchNetwork(FALAJ_NETWORK);
   }
   await ensureStakingManager();
-  document.getElementById('connect-btn').style.display = 'none';
-  document.getElementById('disconnect-btn').style.display = 'inline-block';
-  setActionButtonsEnabled(true);
   show('Wallet connected.');
 }
 
 function handleDisconnect() {
   disconnectWallet();
+}
+
+async function handleSessionChanged({ reason, error, persona, account }) {
+  const generation = ++sessionGeneration;
   stakingManager = null;
-  document.getElementById('connect-btn').style.display = 'inline-block';
-  document.getElementById('disconnect-btn').style.display = 'none';
+  const connected = Boolean(getSigner());
+  document.getElementById('connect-btn').style.display = connected ? 'none' : 'inline-block';
+  document.getElementById('disconnect-btn').style.display = connected ? 'inline-block' : 'none';
   setActionButtonsEnabled(false);
-  show('Wallet disconnected.');
+  if (error) {
+    showError(`Error: ${describeError(error)}`);
+    return;
+  }
+  if (!connected) {
+    if (reason === 'disconnect') {
+      show('Wallet disconnected.');
+    }
+    return;
+  }
+  try {
+    await ensureCorrectNetwork(FALAJ_NETWORK);
+  } catch (err) {
+    if (generation === sessionGeneration && reason !== 'connect') {
+      showError(`Error: ${describeError(err)}`);
+    }
+    return;
+  }
+  if (generation !== sessionGeneration) {
+    return;
+  }
+  setActionButtonsEnabled(true);
+  refreshRoleGating(generation);
+  if (reason === 'persona' && persona) {
+    show(`Active persona: ${persona.name} (${account}).`);
+  } else if (reason === 'accounts' || reason === 'chain') {
+    show(`Session changed. Active account: ${account}. Contract rebound.`);
+  } else if (reason === 'restore') {
+    show(`Session restored. Active account: ${account}.`);
+  }
 }
 
 function renderContractAddress() {
   const target = document.getElementById('contract-address');
-  const explorerLink = `${EXPLORER_BASE}/address/${VALIDATOR_STAKING_MANAGER_ADDRESS}`;
-  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${VALIDATOR_STAKING_MANAGER_ADDRESS}</a>`;
+  if (!contractAddress) {
+    target.textContent = `Contract: not configured in the ${ACTIVE_PROFILE.label} profile. Enter an address below.`;
+    return;
+  }
+  if (!EXPLORER_BASE) {
+    target.textContent = `Contract: ${contractAddress}`;
+    return;
+  }
+  const explorerLink = `${EXPLORER_BASE}/address/${contractAddress}`;
+  target.innerHTML = `Contract: <a href="${explorerLink}" target="_blank">${contractAddress}</a>`;
+  const deployment = contractAddress === VALIDATOR_STAKING_MANAGER_ADDRESS ? getActiveDeployment('validatorStakingManager') : null;
+  if (deployment) {
+    target.append(` · ABI v${deployment.abiVersion}, implementation ${deployment.implementation} (${deployment.date})`);
+  }
+}
+
+function handleAddressOverride(address) {
+  contractAddress = address;
+  startEventStream({ name: 'ValidatorStakingManager', address, network: FALAJ_NETWORK });
+  stakingManager = null;
+  renderContractAddress();
+  handleSessionChanged({ reason: 'override' });
 }
 
 async function handleStake() {
   const contract = await ensureStakingManager();
   const amount = parseEtherAmount(document.getElementById('stake-amount').value, 'Stake amount');
-  const tx = await contract.stake({ value: amount });
+  const tx = await sendTransaction(contract, 'stake', [], { value: amount });
   show(`Stake submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Stake confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Stake confirmed: ${tx.hash}${events}`);
 }
 
 async function handleUnstake() {
   const contract = await ensureStakingManager();
   const amount = parseTokenAmount(document.getElementById('unstake-amount').value, 'Unstake amount');
-  const tx = await contract.unstake(amount);
+  const tx = await sendTransaction(contract, 'unstake', [amount]);
   show(`Unstake submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Unstake confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Unstake confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRegisterValidator() {
   const contract = await ensureStakingManager();
   const validator = parseAddress(document.getElementById('register-validator-address').value, 'Validator');
   const nodeId = parseBytes32(document.getElementById('register-node-id').value, 'Node ID');
-  const tx = await contract.registerValidator(validator, nodeId);
+  const tx = await sendTransaction(contract, 'registerValidator', [validator, nodeId]);
   show(`Register validator submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Register validator confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Register validator confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDeregisterValidator() {
   const contract = await ensureStakingManager();
   const validator = parseAddress(document.getElementById('deregister-validator-address').value, 'Validator');
-  const tx = await contract.deregisterValidator(validator);
+  const tx = await sendTransaction(contract, 'deregisterValidator', [validator]);
   show(`Deregister validator submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Deregister validator confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Deregister validator confirmed: ${tx.hash}${events}`);
 }
 
 async function handleClaimRewards() {
   const contract = await ensureStakingManager();
-  const tx = await contract.claimRewards();
+  const tx = await sendTransaction(contract, 'claimRewards');
   show(`Claim rewards submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Claim rewards confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Claim rewards confirmed: ${tx.hash}${events}`);
 }
 
 async function handleDistributeRewards() {
   const contract = await ensureStakingManager();
   const totalRewards = parseTokenAmount(document.getElementById('distribute-rewards-amount').value, 'Rewards amount');
-  const tx = await contract.distributeRewards(totalRewards);
+  const tx = await sendTransaction(contract, 'distributeRewards', [totalRewards]);
   show(`Distribute rewards submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Distribute rewards confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Distribute rewards confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSlash() {
@@ -248,80 +330,90 @@ async function handleSlash() {
   const validator = parseAddress(document.getElementById('slash-validator').value, 'Validator');
   const amount = parseTokenAmount(document.getElementById('slash-amount').value, 'Slash amount');
   const reason = requireValue(document.getElementById('slash-reason').value, 'Slash reason');
-  const tx = await contract.slash(validator, amount, reason);
+  const tx = await sendTransaction(contract, 'slash', [validator, amount, reason]);
   show(`Slash submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Slash confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Slash confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetFeeDistribution() {
   const contract = await ensureStakingManager();
   const feeDistribution = parseAddress(document.getElementById('fee-distribution-address').value, 'Fee distribution');
-  const tx = await contract.setFeeDistribution(feeDistribution);
+  const tx = await sendTransaction(contract, 'setFeeDistribution', [feeDistribution]);
   show(`Fee distribution update submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Fee distribution update confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Fee distribution update confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetGracePeriod() {
   const contract = await ensureStakingManager();
   const secondsValue = parseUint(document.getElementById('grace-period-seconds').value, 'Grace period seconds');
-  const tx = await contract.setGracePeriod(secondsValue);
+  const tx = await sendTransaction(contract, 'setGracePeriod', [secondsValue]);
   show(`Grace period submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Grace period confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Grace period confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetSlashReceiver() {
   const contract = await ensureStakingManager();
   const receiver = parseAddress(document.getElementById('slash-receiver-address').value, 'Slash receiver');
-  const tx = await contract.setSlashReceiver(receiver);
+  const tx = await sendTransaction(contract, 'setSlashReceiver', [receiver]);
   show(`Slash receiver submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Slash receiver confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Slash receiver confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSetStakeRatio() {
   const contract = await ensureStakingManager();
   const ratio = parseUint(document.getElementById('stake-ratio-bps').value, 'Stake ratio (bps)');
-  const tx = await contract.setStakeToIssuanceRatio(ratio);
+  const tx = await sendTransaction(contract, 'setStakeToIssuanceRatio', [ratio]);
   show(`Stake ratio submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Stake ratio confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Stake ratio confirmed: ${tx.hash}${events}`);
 }
 
 async function handleGrantRole() {
   const contract = await ensureStakingManager();
   const role = parseRole(document.getElementById('grant-role-value').value);
   const account = parseAddress(document.getElementById('grant-role-account').value, 'Account');
-  const tx = await contract.grantRole(role, account);
+  const tx = await sendTransaction(contract, 'grantRole', [role, account]);
   show(`Grant role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Grant role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Grant role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRevokeRole() {
   const contract = await ensureStakingManager();
   const role = parseRole(document.getElementById('revoke-role-value').value);
   const account = parseAddress(document.getElementById('revoke-role-account').value, 'Account');
-  const tx = await contract.revokeRole(role, account);
+  const tx = await sendTransaction(contract, 'revokeRole', [role, account]);
   show(`Revoke role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Revoke role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Revoke role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleRenounceRole() {
   const contract = await ensureStakingManager();
   const role = parseRole(document.getElementById('renounce-role-value').value);
   const account = parseAddress(document.getElementById('renounce-role-account').value, 'Account');
-  const tx = await contract.renounceRole(role, account);
+  const tx = await sendTransaction(contract, 'renounceRole', [role, account]);
   show(`Renounce role submitted: ${tx.hash}`);
-  await tx.wait();
-  show(`Renounce role confirmed: ${tx.hash}`);
+  const events = await describeReceiptEvents(await waitForTransaction(tx));
+  show(`Renounce role confirmed: ${tx.hash}${events}`);
 }
 
 async function handleSummary() {
   const contract = await ensureStakingManager();
+  const { blockNumber, values } = await readAll(FALAJ_NETWORK, [
+    [contract, 'getContractBalance'],
+    [contract, 'getTotalStaked'],
+    [contract, 'getTotalPendingRewards'],
+    [contract, 'getValidatorCount'],
+    [contract, 'gracePeriod'],
+    [contract, 'stakeToIssuanceRatio'],
+    [contract, 'feeDistribution'],
+    [contract, 'slashReceiver']
+  ]);
   const [
     contractBalance,
     totalStaked,
@@ -331,17 +423,9 @@ async function handleSummary() {
     stakeRatio,
     feeDistribution,
     slashReceiver
-  ] = await Promise.all([
-    contract.getContractBalance(),
-    contract.getTotalStaked(),
-    contract.getTotalPendingRewards(),
-    contract.getValidatorCount(),
-    contract.gracePeriod(),
-    contract.stakeToIssuanceRatio(),
-    contract.feeDistribution(),
-    contract.slashReceiver()
-  ]);
+  ] = values;
   const output = [
+    `Block: ${blockNumber}`,
     `Contract balance: ${ethers.formatEther(contractBalance)} AVAX`,
     `Total staked: ${ethers.formatEther(totalStaked)} AVAX`,
     `Total pending rewards: ${ethers.formatEther(totalPendingRewards)} AVAX`,
@@ -434,21 +518,44 @@ async function handleValidatorsPaginated() {
 function wireButton(id, handler) {
   const button = document.getElementById(id);
   if (!button) return;
+  const run = async () => {
+    if (WRITE_ACTION_BUTTONS.includes(id) && !getSigner()) {
+      throw new Error('Wallet not connected. Read actions work without a wallet; connect one to send transactions.');
+    }
+    show('Working...');
+    await handler();
+  };
+  const recordedRun = registerAction(id, handler, run);
   button.addEventListener('click', async () => {
     try {
-      show('Working...');
-      await handler();
+      await recordedRun();
     } catch (err) {
-      showError(`Error: ${err.message || err}`);
+      showError(`Error: ${describeError(err)}`, {
+        action: WRITE_ACTION_METHODS[id] ?? id,
+        errorCode: getErrorCode(err)
+      });
     }
   });
+  if (WRITE_ACTION_BUTTONS.includes(id)) {
+    addExportButton(button, handler);
+  }
 }
 
 function boot() {
-  initLogs();
+  initLogs({ contract: 'ValidatorStakingManager' });
+  initTxTracker();
+  initSessionHeader(FALAJ_NETWORK);
   renderContractAddress();
+  initAddressOverride({
+    contractKey: 'validatorStakingManager',
+    contractName: 'ValidatorStakingManager',
+    defaultAddress: VALIDATOR_STAKING_MANAGER_ADDRESS,
+    network: FALAJ_NETWORK,
+    onChange: handleAddressOverride
+  });
+  startEventStream({ name: 'ValidatorStakingManager', address: contractAddress, network: FALAJ_NETWORK });
   document.getElementById('connect-btn').addEventListener('click', () => {
-    handleConnect().catch((err) => showError(`Error: ${err.message || err}`));
+    handleConnect().catch((err) => showError(`Error: ${describeError(err)}`));
   });
   document.getElementById('disconnect-btn').addEventListener('click', handleDisconnect);
 
@@ -479,12 +586,9 @@ function boot() {
 
   setActionButtonsEnabled(false);
 
-  onAccountsChanged(() => {
-    show('Account changed. Reconnect if needed.');
-  });
-  onChainChanged(() => {
-    show('Network changed. Reconnect if needed.');
-  });
+  onSessionChanged(handleSessionChanged);
+  const restored = restoreSession().catch((err) => showError(`Error: ${describeError(err)}`));
+  initRecorder({ ready: restored });
 }
 
 boot();
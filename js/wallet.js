@@ -1,12 +1,226 @@
+import { getReadProvider } from './rpc.js';
+
 const ethers = window.ethers;
 
 if (!ethers) {
   throw new Error('Ethers library not loaded. Ensure the ethers script is included before wallet.js.');
 }
 
+const EIP6963_ANNOUNCE_EVENT = 'eip6963:announceProvider';
+const EIP6963_REQUEST_EVENT = 'eip6963:requestProvider';
+const LEGACY_WALLET_ID = 'injected';
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+export const DEV_SIGNER_WALLET_ID = 'dev-signer';
+export const DEV_SIGNER_DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+const SESSION_STORAGE_KEY = 'falaj.walletSession';
+const PERSONAS_STORAGE_KEY = 'falaj.personas';
+const WALLET_ALIASES = {
+  metamask: 'io.metamask',
+  core: 'app.core.extension',
+  rabby: 'io.rabby'
+};
+
 let provider = null;
 let signer = null;
 let currentWallet = null;
+let activeEip1193 = null;
+let currentChainId = null;
+let sessionRefresh = Promise.resolve();
+
+const personas = new Map();
+let activePersona = null;
+
+const discoveredWallets = new Map();
+const accountsChangedHandlers = new Set();
+const chainChangedHandlers = new Set();
+const sessionChangedHandlers = new Set();
+
+function handleProviderAnnouncement(event) {
+  const detail = event?.detail;
+  if (!detail?.info?.uuid || !detail.provider) {
+    return;
+  }
+  discoveredWallets.set(detail.info.uuid, {
+    id: detail.info.uuid,
+    name: detail.info.name || 'Unknown wallet',
+    icon: detail.info.icon || '',
+    rdns: detail.info.rdns || '',
+    provider: detail.provider
+  });
+}
+
+function requestProviders() {
+  window.dispatchEvent(new Event(EIP6963_REQUEST_EVENT));
+}
+
+window.addEventListener(EIP6963_ANNOUNCE_EVENT, handleProviderAnnouncement);
+requestProviders();
+loadStoredPersonas();
+
+function emitAccountsChanged(accounts) {
+  accountsChangedHandlers.forEach((handler) => handler(accounts));
+}
+
+function emitChainChanged(chainId) {
+  chainChangedHandlers.forEach((handler) => handler(chainId));
+}
+
+function describePersona(persona) {
+  return {
+    name: persona.name,
+    address: persona.address,
+    walletName: persona.wallet?.name ?? '',
+    active: persona.name === activePersona
+  };
+}
+
+function readStoredJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function persistSession() {
+  if (!signer || currentWallet?.id === DEV_SIGNER_WALLET_ID) {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return;
+  }
+  const { id, name, rdns } = currentWallet;
+  localStorage.setItem(
+    SESSION_STORAGE_KEY,
+    JSON.stringify({ wallet: { id, name, rdns }, account: signer.address, persona: activePersona })
+  );
+}
+
+// Only browser-wallet personas are stored; dev-signer keys never leave memory.
+function persistPersonas() {
+  const stored = [...personas.values()]
+    .filter((persona) => persona.wallet?.id !== DEV_SIGNER_WALLET_ID)
+    .map(({ name, address, wallet }) => ({
+      name,
+      address,
+      wallet: { id: wallet.id, name: wallet.name, rdns: wallet.rdns }
+    }));
+  localStorage.setItem(PERSONAS_STORAGE_KEY, JSON.stringify(stored));
+}
+
+function loadStoredPersonas() {
+  readStoredJson(PERSONAS_STORAGE_KEY, []).forEach((persona) => {
+    if (!persona?.name || !persona.address || !persona.wallet) {
+      return;
+    }
+    personas.set(persona.name, { ...persona, eip1193: null, provider: null, signer: null });
+  });
+}
+
+function sameWallet(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  return a.rdns ? a.rdns === b.rdns : a.id === b.id;
+}
+
+function emitSessionChanged(reason, error = null) {
+  if (!error) {
+    persistSession();
+  }
+  const detail = { reason, error, ...getSessionInfo() };
+  sessionChangedHandlers.forEach((handler) => handler(detail));
+}
+
+async function readChainId() {
+  currentChainId = provider ? Number((await provider.getNetwork()).chainId) : null;
+}
+
+async function matchPersona() {
+  const address = await signer.getAddress();
+  const match = [...personas.values()].find(
+    (persona) => persona.address === address && sameWallet(persona.wallet, currentWallet)
+  );
+  activePersona = match ? match.name : null;
+}
+
+function queueSessionRefresh(task) {
+  sessionRefresh = sessionRefresh.then(task).catch((err) => emitSessionChanged('error', err));
+  return sessionRefresh;
+}
+
+async function rebuildBrowserSession(reason, account) {
+  if (!activeEip1193) {
+    return;
+  }
+  provider = new ethers.BrowserProvider(activeEip1193);
+  signer = await provider.getSigner(account);
+  await readChainId();
+  await matchPersona();
+  emitSessionChanged(reason);
+}
+
+function handleAccountsChanged(accounts) {
+  queueSessionRefresh(async () => {
+    if (!accounts?.length) {
+      disconnectWallet();
+      return;
+    }
+    await rebuildBrowserSession('accounts', accounts[0]);
+  });
+  emitAccountsChanged(accounts);
+}
+
+function handleChainChanged(chainId) {
+  queueSessionRefresh(() => rebuildBrowserSession('chain', signer?.address));
+  emitChainChanged(chainId);
+}
+
+function bindProviderEvents(eip1193) {
+  if (activeEip1193 === eip1193) {
+    return;
+  }
+  if (activeEip1193?.removeListener) {
+    activeEip1193.removeListener('accountsChanged', handleAccountsChanged);
+    activeEip1193.removeListener('chainChanged', handleChainChanged);
+  }
+  activeEip1193 = eip1193;
+  if (activeEip1193?.on) {
+    activeEip1193.on('accountsChanged', handleAccountsChanged);
+    activeEip1193.on('chainChanged', handleChainChanged);
+  }
+}
+
+function describeWallet(entry) {
+  return { id: entry.id, name: entry.name, icon: entry.icon, rdns: entry.rdns };
+}
+
+function resolveWallet(wallet) {
+  const key = WALLET_ALIASES[wallet] || wallet;
+  if (discoveredWallets.has(key)) {
+    return discoveredWallets.get(key);
+  }
+  const byRdns = [...discoveredWallets.values()].find((entry) => entry.rdns === key);
+  if (byRdns) {
+    return byRdns;
+  }
+  if (window.ethereum && (wallet === LEGACY_WALLET_ID || !discoveredWallets.size)) {
+    return { id: LEGACY_WALLET_ID, name: 'Browser wallet', icon: '', rdns: '', provider: window.ethereum };
+  }
+  return null;
+}
+
+export function listWallets() {
+  const wallets = [...discoveredWallets.values()].map(describeWallet);
+  if (!wallets.length && window.ethereum) {
+    wallets.push({ id: LEGACY_WALLET_ID, name: 'Browser wallet', icon: '', rdns: '' });
+  }
+  return wallets;
+}
+
+export async function discoverWallets(timeoutMs = 300) {
+  requestProviders();
+  await new Promise((resolve) => setTimeout(resolve, timeoutMs));
+  return listWallets();
+}
 
 export function getProvider() {
   return provider;
@@ -16,40 +230,229 @@ export function getSigner() {
   return signer;
 }
 
+export { getReadProvider };
+
+export function getContractRunner(network) {
+  return signer ?? getReadProvider(network);
+}
+
+export function getCurrentWallet() {
+  return currentWallet;
+}
+
+export function getSessionInfo() {
+  return {
+    wallet: currentWallet,
+    persona: activePersona ? describePersona(personas.get(activePersona)) : null,
+    account: signer?.address ?? null,
+    chainId: currentChainId
+  };
+}
+
+function createDevWallet(secret, accountIndex) {
+  if (PRIVATE_KEY_PATTERN.test(secret)) {
+    return new ethers.Wallet(secret.startsWith('0x') ? secret : `0x${secret}`);
+  }
+  if (ethers.Mnemonic.isValidMnemonic(secret)) {
+    return ethers.HDNodeWallet.fromPhrase(secret, undefined, `m/44'/60'/0'/0/${accountIndex}`);
+  }
+  throw new Error('Dev signer secret must be a 32-byte hex private key or a valid BIP-39 mnemonic.');
+}
+
+// Dev signers are for local nodes and throwaway test keys only. The secret lives in memory
+// for the lifetime of the page and is never written to storage.
+export async function connectDevSigner({ secret, rpcUrl = DEV_SIGNER_DEFAULT_RPC_URL, accountIndex = 0 } = {}) {
+  const trimmedSecret = `${secret ?? ''}`.trim();
+  if (!trimmedSecret) {
+    throw new Error('Private key or mnemonic is required.');
+  }
+  const url = `${rpcUrl ?? ''}`.trim();
+  if (!url) {
+    throw new Error('Dev signer RPC URL is required.');
+  }
+  const index = Number(accountIndex);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error('Account index must be a non-negative integer.');
+  }
+  const wallet = createDevWallet(trimmedSecret, index);
+  const devProvider = new ethers.JsonRpcProvider(url);
+  try {
+    await devProvider.getNetwork();
+  } catch (err) {
+    devProvider.destroy();
+    throw new Error(`Dev signer RPC ${url} is unreachable: ${err.message || err}`);
+  }
+  bindProviderEvents(null);
+  provider = devProvider;
+  signer = wallet.connect(devProvider);
+  currentWallet = { id: DEV_SIGNER_WALLET_ID, name: 'Dev signer (unsafe)', icon: '', rdns: '', rpcUrl: url };
+  await readChainId();
+  await matchPersona();
+  emitSessionChanged('connect');
+  return { provider, signer, wallet: currentWallet };
+}
+
 export async function connectWallet(wallet = 'metamask') {
-  if (wallet === 'metamask' && window.ethereum) {
-    provider = new ethers.BrowserProvider(window.ethereum);
-    await provider.send('eth_requestAccounts', []);
-    signer = await provider.getSigner();
-    currentWallet = wallet;
-    return { provider, signer, wallet: currentWallet };
+  if (wallet?.id === DEV_SIGNER_WALLET_ID) {
+    return connectDevSigner(wallet);
   }
-  throw new Error('MetaMask not found');
+  const entry = resolveWallet(wallet);
+  if (!entry) {
+    throw new Error('No browser wallet found. Install MetaMask, Core or Rabby and reload the page.');
+  }
+  const nextProvider = new ethers.BrowserProvider(entry.provider);
+  await nextProvider.send('eth_requestAccounts', []);
+  const nextSigner = await nextProvider.getSigner();
+  provider = nextProvider;
+  signer = nextSigner;
+  currentWallet = describeWallet(entry);
+  bindProviderEvents(entry.provider);
+  await readChainId();
+  await matchPersona();
+  emitSessionChanged('connect');
+  return { provider, signer, wallet: currentWallet };
 }
 
 export function disconnectWallet() {
+  bindProviderEvents(null);
+  const heldByPersona = [...personas.values()].some((persona) => persona.provider === provider);
+  if (currentWallet?.id === DEV_SIGNER_WALLET_ID && !heldByPersona) {
+    provider?.destroy();
+  }
   provider = null;
   signer = null;
   currentWallet = null;
+  currentChainId = null;
+  activePersona = null;
+  emitSessionChanged('disconnect');
+}
+
+export async function restoreSession() {
+  const stored = readStoredJson(SESSION_STORAGE_KEY, null);
+  if (!stored?.wallet || signer) {
+    return null;
+  }
+  await discoverWallets();
+  const entry = resolveWallet(stored.wallet.rdns || stored.wallet.id);
+  if (!entry) {
+    return null;
+  }
+  const accounts = await entry.provider.request({ method: 'eth_accounts' });
+  if (!accounts?.length) {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    return null;
+  }
+  const preferred = personas.get(stored.persona)?.address ?? stored.account ?? '';
+  const account = accounts.find((candidate) => candidate.toLowerCase() === preferred.toLowerCase());
+  provider = new ethers.BrowserProvider(entry.provider);
+  signer = await provider.getSigner(account ?? accounts[0]);
+  currentWallet = describeWallet(entry);
+  bindProviderEvents(entry.provider);
+  await readChainId();
+  await matchPersona();
+  emitSessionChanged('restore');
+  return getSessionInfo();
+}
+
+export function listPersonas() {
+  return [...personas.values()].map(describePersona);
+}
+
+export function getActivePersona() {
+  return activePersona ? describePersona(personas.get(activePersona)) : null;
+}
+
+export async function savePersona(name) {
+  const trimmed = `${name ?? ''}`.trim();
+  if (!trimmed) {
+    throw new Error('Persona name is required.');
+  }
+  if (!signer) {
+    throw new Error('Connect a wallet before saving a persona.');
+  }
+  const address = await signer.getAddress();
+  personas.set(trimmed, {
+    name: trimmed,
+    address,
+    wallet: currentWallet,
+    eip1193: activeEip1193,
+    provider,
+    signer
+  });
+  persistPersonas();
+  activePersona = trimmed;
+  emitSessionChanged('persona');
+  return describePersona(personas.get(trimmed));
+}
+
+export async function activatePersona(name) {
+  const persona = personas.get(name);
+  if (!persona) {
+    throw new Error(`Unknown persona: ${name}`);
+  }
+  if (persona.wallet?.id !== DEV_SIGNER_WALLET_ID) {
+    persona.eip1193 = persona.eip1193 ?? resolveWallet(persona.wallet.rdns || persona.wallet.id)?.provider;
+    if (!persona.eip1193) {
+      throw new Error(`${persona.wallet.name} is not available in this browser. Install or unlock it first.`);
+    }
+    const browserProvider = new ethers.BrowserProvider(persona.eip1193);
+    let personaSigner;
+    try {
+      personaSigner = await browserProvider.getSigner(persona.address);
+    } catch (err) {
+      throw new Error(
+        `${persona.wallet.name} has not granted this page access to ${persona.address}. ` +
+          `Select that account in the wallet, then switch to ${name} again.`
+      );
+    }
+    provider = browserProvider;
+    signer = personaSigner;
+  } else {
+    provider = persona.provider;
+    signer = persona.signer;
+  }
+  currentWallet = persona.wallet;
+  bindProviderEvents(persona.eip1193);
+  activePersona = name;
+  await readChainId();
+  emitSessionChanged('persona');
+  return describePersona(persona);
+}
+
+export function removePersona(name) {
+  if (!personas.delete(name)) {
+    return;
+  }
+  persistPersonas();
+  if (activePersona === name) {
+    activePersona = null;
+  }
+  emitSessionChanged('persona');
 }
 
 export async function switchNetwork(network) {
-  if (!window.ethereum) {
-    throw new Error('MetaMask not found');
+  if (currentWallet?.id === DEV_SIGNER_WALLET_ID) {
+    throw new Error(
+      `The dev signer is bound to ${currentWallet.rpcUrl} and cannot switch networks. ` +
+        `Reconnect it with an RPC URL for ${network.chainName} (${network.chainId}).`
+    );
+  }
+  if (!activeEip1193) {
+    throw new Error('Wallet not connected.');
   }
   const hex = ethers.toQuantity(network.chainId);
   try {
-    await window.ethereum.request({
+    await activeEip1193.request({
       method: 'wallet_switchEthereumChain',
       params: [{ chainId: hex }]
     });
   } catch (err) {
     if (err.code === 4902) {
-      await window.ethereum.request({
+      await activeEip1193.request({
         method: 'wallet_addEthereumChain',
-        params: [{ chainId: hex, ...network }]
+        params: [{ ...network, chainId: hex }]
       });
-      await window.ethereum.request({
+      await activeEip1193.request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: hex }]
       });
@@ -57,8 +460,11 @@ export async function switchNetwork(network) {
       throw err;
     }
   }
-  provider = new ethers.BrowserProvider(window.ethereum);
-  signer = await provider.getSigner();
+  const address = signer ? await signer.getAddress() : undefined;
+  provider = new ethers.BrowserProvider(activeEip1193);
+  signer = await provider.getSigner(address);
+  await readChainId();
+  emitSessionChanged('network');
   return { provider, signer };
 }
 
@@ -73,17 +479,16 @@ export async function ensureCorrectNetwork(network) {
 }
 
 export function onAccountsChanged(handler) {
-  if (!window.ethereum?.on) {
-    return () => {};
-  }
-  window.ethereum.on('accountsChanged', handler);
-  return () => window.ethereum.removeListener?.('accountsChanged', handler);
+  accountsChangedHandlers.add(handler);
+  return () => accountsChangedHandlers.delete(handler);
 }
 
 export function onChainChanged(handler) {
-  if (!window.ethereum?.on) {
-    return () => {};
-  }
-  window.ethereum.on('chainChanged', handler);
-  return () => window.ethereum.removeListener?.('chainChanged', handler);
+  chainChangedHandlers.add(handler);
+  return () => chainChangedHandlers.delete(handler);
+}
+
+export function onSessionChanged(handler) {
+  sessionChangedHandlers.add(handler);
+  return () => sessionChangedHandlers.delete(handler);
 }
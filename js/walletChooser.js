@@ -0,0 +1,130 @@
+import { DEV_SIGNER_DEFAULT_RPC_URL, DEV_SIGNER_WALLET_ID, discoverWallets } from './wallet.js';
+
+const DIALOG_ID = 'wallet-chooser';
+const DEV_RPC_STORAGE_KEY = 'falaj.devSignerRpcUrl';
+
+function createWalletOption(wallet, onSelect) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'wallet-option';
+  if (wallet.icon && wallet.icon.startsWith('data:image')) {
+    const icon = document.createElement('img');
+    icon.src = wallet.icon;
+    icon.alt = '';
+    button.appendChild(icon);
+  }
+  const label = document.createElement('span');
+  label.textContent = wallet.rdns ? `${wallet.name} (${wallet.rdns})` : wallet.name;
+  button.appendChild(label);
+  button.addEventListener('click', () => onSelect(wallet.id));
+  return button;
+}
+
+function createField(labelText, input) {
+  const label = document.createElement('label');
+  label.textContent = labelText;
+  label.appendChild(input);
+  return label;
+}
+
+function createDevSignerForm(onSelect) {
+  const details = document.createElement('details');
+  details.className = 'dev-signer';
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Dev signer (unsafe)';
+  details.appendChild(summary);
+
+  const warning = document.createElement('p');
+  warning.className = 'dev-signer-warning';
+  warning.textContent =
+    'UNSAFE: for local nodes and throwaway test keys only. The key stays in page memory and is never saved, ' +
+    'but anything running on this page can read it. Never paste a key that holds real funds.';
+  details.appendChild(warning);
+
+  const secret = document.createElement('input');
+  secret.type = 'password';
+  secret.autocomplete = 'off';
+  secret.placeholder = 'Private key or test mnemonic';
+
+  const accountIndex = document.createElement('input');
+  accountIndex.value = '0';
+  accountIndex.placeholder = 'Mnemonic account index';
+
+  const rpcUrl = document.createElement('input');
+  rpcUrl.value = localStorage.getItem(DEV_RPC_STORAGE_KEY) || DEV_SIGNER_DEFAULT_RPC_URL;
+  rpcUrl.placeholder = 'RPC URL';
+
+  details.appendChild(createField('Secret', secret));
+  details.appendChild(createField('Account index', accountIndex));
+  details.appendChild(createField('RPC URL', rpcUrl));
+
+  const connect = document.createElement('button');
+  connect.type = 'button';
+  connect.textContent = 'Use dev signer';
+  connect.addEventListener('click', () => {
+    localStorage.setItem(DEV_RPC_STORAGE_KEY, rpcUrl.value.trim());
+    const selection = {
+      id: DEV_SIGNER_WALLET_ID,
+      secret: secret.value,
+      accountIndex: accountIndex.value.trim() || '0',
+      rpcUrl: rpcUrl.value
+    };
+    secret.value = '';
+    onSelect(selection);
+  });
+  details.appendChild(connect);
+  return details;
+}
+
+function getDialog() {
+  let dialog = document.getElementById(DIALOG_ID);
+  if (dialog) {
+    return dialog;
+  }
+  dialog = document.createElement('dialog');
+  dialog.id = DIALOG_ID;
+  dialog.className = 'wallet-dialog';
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+export async function chooseWallet() {
+  const wallets = await discoverWallets();
+  const dialog = getDialog();
+  dialog.innerHTML = '';
+
+  const title = document.createElement('h4');
+  title.textContent = 'Choose a wallet';
+  dialog.appendChild(title);
+
+  return new Promise((resolve) => {
+    let selected = null;
+    const select = (wallet) => {
+      selected = wallet;
+      dialog.close();
+    };
+
+    const list = document.createElement('div');
+    list.className = 'wallet-options';
+    wallets.forEach((wallet) => list.appendChild(createWalletOption(wallet, select)));
+    if (!wallets.length) {
+      const empty = document.createElement('p');
+      empty.className = 'wallet-empty';
+      empty.textContent = 'No browser wallet found. Install MetaMask, Core or Rabby and reload the page.';
+      list.appendChild(empty);
+    }
+    dialog.appendChild(list);
+    dialog.appendChild(createDevSignerForm(select));
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'wallet-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => dialog.close());
+    dialog.appendChild(cancel);
+
+    dialog.addEventListener('close', () => resolve(selected), { once: true });
+    dialog.showModal();
+  });
+}
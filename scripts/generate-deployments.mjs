@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = 'notes/deployment_log.md';
+const TARGET = 'contract/deployments.json';
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const EXPECTED_HEADER = ['Date', 'Contract Name', 'Network', 'Proxy Address', 'Implementation Address', 'ABI Version'];
+
+function splitRow(line) {
+  return line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/\|$/, '')
+    .split('|')
+    .map((cell) => cell.trim());
+}
+
+function parseDate(value, line) {
+  const match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) {
+    throw new Error(`Line ${line}: unrecognised date "${value}" (expected M/D/YYYY).`);
+  }
+  const [, month, day, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+function parseNetwork(value, line) {
+  const match = value.match(/^(.*?)\s*\(.*Chain ID:\s*(\d+)\)\s*$/);
+  if (!match) {
+    throw new Error(`Line ${line}: unrecognised network "${value}" (expected "Name (... Chain ID: N)").`);
+  }
+  return { network: match[1], chainId: Number(match[2]) };
+}
+
+function parseAddress(value, label, line) {
+  if (!ADDRESS_PATTERN.test(value)) {
+    throw new Error(`Line ${line}: invalid ${label} "${value}".`);
+  }
+  return value;
+}
+
+function parseAbiVersion(value, line) {
+  const match = value.match(/(\d+)/);
+  if (!match) {
+    throw new Error(`Line ${line}: unrecognised ABI version "${value}".`);
+  }
+  return Number(match[1]);
+}
+
+function parseDeploymentLog(markdown) {
+  const lines = markdown.split('\n');
+  const headerIndex = lines.findIndex((line) => line.trim().startsWith('| Date'));
+  if (headerIndex === -1) {
+    throw new Error(`No deployment table found in ${SOURCE}.`);
+  }
+  const header = splitRow(lines[headerIndex]);
+  if (header.join('|') !== EXPECTED_HEADER.join('|')) {
+    throw new Error(`Unexpected table header in ${SOURCE}: ${header.join(', ')}`);
+  }
+
+  const deployments = [];
+  for (let index = headerIndex + 2; index < lines.length; index += 1) {
+    const line = lines[index].trim();
+    if (!line.startsWith('|')) {
+      break;
+    }
+    const lineNumber = index + 1;
+    const [date, contract, network, proxy, implementation, abiVersion] = splitRow(line);
+    deployments.push({
+      sequence: deployments.length + 1,
+      date: parseDate(date, lineNumber),
+      contract: contract.replace(/\.sol$/, ''),
+      ...parseNetwork(network, lineNumber),
+      proxy: parseAddress(proxy, 'proxy address', lineNumber),
+      implementation: parseAddress(implementation, 'implementation address', lineNumber),
+      abiVersion: parseAbiVersion(abiVersion, lineNumber)
+    });
+  }
+  return deployments;
+}
+
+function findWarnings(deployments) {
+  const warnings = [];
+  deployments.forEach((entry, index) => {
+    const previous = deployments[index - 1];
+    if (previous && entry.date < previous.date) {
+      warnings.push(`Row ${entry.sequence} (${entry.contract}) is dated ${entry.date}, before the row above it (${previous.date}).`);
+    }
+  });
+  return warnings;
+}
+
+async function main() {
+  const markdown = await readFile(join(ROOT, SOURCE), 'utf8');
+  const deployments = parseDeploymentLog(markdown);
+  const registry = { source: SOURCE, deployments };
+  await writeFile(join(ROOT, TARGET), `${JSON.stringify(registry, null, 2)}\n`);
+  findWarnings(deployments).forEach((warning) => console.warn(`Warning: ${warning}`));
+  console.log(`Wrote ${deployments.length} deployments to ${TARGET}.`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});